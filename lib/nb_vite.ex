@@ -13,7 +13,9 @@ defmodule NbVite do
   Generate script tags for Vite entries.
 
   In development, this will load scripts from the Vite dev server.
-  In production, this will load the built and hashed assets.
+  In production, this will load the built and hashed assets, with `integrity`
+  attributes when the plugin's `integrity` option wrote SRI digests into the
+  manifest.
 
   ## Examples
 
@@ -153,18 +155,22 @@ defmodule NbVite do
       %{"file" => file} = entry_data ->
         # Add CSS imports
         css_files = Map.get(entry_data, "css", [])
+        css_integrity = Map.get(entry_data, "cssIntegrity", %{})
 
         css_tags =
           Enum.map(css_files, fn css_file ->
-            ~s(<link rel="stylesheet" crossorigin href="/#{css_file}" />)
+            css_integrity_attr = integrity_attr(css_integrity[css_file])
+            ~s(<link rel="stylesheet" crossorigin href="/#{css_file}"#{css_integrity_attr} />)
           end)
 
         # Add the main entry tag (could be script or CSS)
+        integrity = integrity_attr(entry_data["integrity"])
+
         main_tag =
           if String.ends_with?(entry, ".css") do
-            ~s(<link rel="stylesheet" crossorigin href="/#{file}" />)
+            ~s(<link rel="stylesheet" crossorigin href="/#{file}"#{integrity} />)
           else
-            ~s(<script type="module" crossorigin src="/#{file}"></script>)
+            ~s(<script type="module" crossorigin src="/#{file}"#{integrity}></script>)
           end
 
         # Add preload links for imports
@@ -173,8 +179,9 @@ defmodule NbVite do
         import_tags =
           Enum.map(imports, fn import_key ->
             case Map.get(manifest, import_key) do
-              %{"file" => import_file} ->
-                ~s(<link rel="modulepreload" crossorigin href="/#{import_file}" />)
+              %{"file" => import_file} = import_data ->
+                import_integrity_attr = integrity_attr(import_data["integrity"])
+                ~s(<link rel="modulepreload" crossorigin href="/#{import_file}"#{import_integrity_attr} />)
 
               _ ->
                 ""
@@ -186,6 +193,11 @@ defmodule NbVite do
     end
   end
 
+  # Subresource Integrity attribute, written into the manifest by the
+  # `integrity` plugin option
+  defp integrity_attr(nil), do: ""
+  defp integrity_attr(integrity), do: ~s( integrity="#{integrity}")
+
   defp dev_server_running? do
     case read_hot_file() do
       {:ok, _url} -> true
@@ -38,6 +38,61 @@ export default [
       }),
     ],
   },
+  // Production SSR server
+  {
+    input: "src/ssr-server.ts",
+    output: {
+      file: "dist/ssr-server.js",
+      format: "esm",
+      inlineDynamicImports: true,
+    },
+    external: [
+      "vite",
+      "node:fs",
+      "node:path",
+      "node:http",
+      "node:url",
+      "node:net",
+    ],
+    plugins: [
+      resolve({
+        preferBuiltins: true,
+        browser: false,
+      }),
+      commonjs(),
+      typescript({
+        tsconfig: "./tsconfig.json",
+      }),
+    ],
+  },
+  // Production SSR server CLI
+  {
+    input: "src/ssr-server-cli.ts",
+    output: {
+      file: "dist/ssr-server-cli.js",
+      format: "esm",
+      inlineDynamicImports: true,
+      banner: "#!/usr/bin/env node",
+    },
+    external: [
+      "vite",
+      "node:fs",
+      "node:path",
+      "node:http",
+      "node:url",
+      "node:net",
+    ],
+    plugins: [
+      resolve({
+        preferBuiltins: true,
+        browser: false,
+      }),
+      commonjs(),
+      typescript({
+        tsconfig: "./tsconfig.json",
+      }),
+    ],
+  },
   // nb-routes plugin
   {
     input: "src/vite-plugin-nb-routes.ts",
@@ -1,8 +1,11 @@
+import { createHash } from "node:crypto";
 import fs from "node:fs";
 import path from "node:path";
 import os from "node:os";
 import { AddressInfo } from "node:net";
-import { IncomingMessage, ServerResponse } from "node:http";
+import http, { IncomingMessage, ServerResponse } from "node:http";
+import { promisify } from "node:util";
+import zlib from "node:zlib";
 import {
   Plugin,
   UserConfig,
@@ -12,15 +15,55 @@ import {
   ManifestChunk,
   PluginOption,
   loadEnv,
+  createFilter,
+  isCSSRequest,
+  normalizePath,
   SSROptions,
   Rollup,
   ViteDevServer,
+  EnvironmentModuleNode,
+  version as viteVersion,
 } from "vite";
 import { OutputChunk } from "rollup";
 import colors from "picocolors";
 import fullReload, {
   Config as FullReloadConfig,
 } from "vite-plugin-full-reload";
+import type { NbRoutesPluginApi } from "./vite-plugin-nb-routes";
+import {
+  createSSREntryTemplate,
+  detectSSRFrameworks,
+  findSSREntryProblems,
+} from "./ssr-entry";
+import {
+  SSREntry,
+  SSRErrorPayload,
+  SSRIslandRequest,
+  SSRModule,
+  SSRQueueFullError,
+  SSRRenderAssets,
+  SSRLogLevel,
+  SSRLogger,
+  SSRRequestError,
+  SSR_IMPORT_TRACKER,
+  SSR_TOKEN_HEADER,
+  buildSSRErrorPayload,
+  createRenderQueue,
+  createResponseCache,
+  createSSRLogger,
+  createSSRRenderLog,
+  createSSRRequestHandler,
+  describeSSREntries,
+  formatLoggedError,
+  matchSSRHealthProbe,
+  sendSSRHealth,
+  generateSSRToken,
+  isAuthorizedSSRRequest,
+  resolveSSREntries,
+  sendUnauthorized,
+  trackSSRModules,
+  validateSSRModule,
+} from "./ssr-handler";
 
 // No longer need vite-node imports - using built-in Module Runner API
 
@@ -46,17 +89,135 @@ interface SSRConfig {
   /**
    * The entry point for SSR rendering in development.
    * If not set, defaults to the `ssr` option value (unified entry for dev and prod).
-   * @default Uses `ssr` option value, or './js/ssr.tsx' if ssr is not a string
+   *
+   * Pass an object of entry names to paths to serve several SSR bundles from one
+   * dev server. Each entry is available at `${path}/:name`, and an entry named
+   * `default` (or the only entry) is also served at `path` itself.
+   *
+   * @default Uses `ssr` option value, or './js/ssr.tsx' if ssr is not a string or object
    */
-  entryPoint?: string;
+  entryPoint?: string | Record<string, string>;
 
   /**
    * The path to the SSR "hot" file
    * @default 'priv/ssr-hot'
    */
   hotFile?: string;
+
+  /**
+   * Stream the response when the SSR entry exports `renderToStream`.
+   * When disabled, the stream is buffered and returned as a single JSON response.
+   * @default true
+   */
+  streaming?: boolean;
+
+  /**
+   * Which changed files may invalidate the SSR render cache.
+   */
+  watch?: SSRWatchConfig;
+
+  /**
+   * Maximum time in milliseconds for loading the entry and rendering a page.
+   * Timed out requests fail with status 504 and error code `SSR_TIMEOUT`,
+   * and the `signal` passed to `render(page, { signal })` is aborted.
+   * Set to 0 to disable.
+   * @default 10000
+   */
+  timeout?: number;
+
+  /**
+   * Maximum number of renders running at the same time. Further requests wait in a queue.
+   * Set to 0 for no limit.
+   * @default 0
+   */
+  concurrency?: number;
+
+  /**
+   * Maximum number of requests waiting for a render slot when `concurrency` is reached.
+   * Requests beyond it fail with status 503 and error code `SSR_QUEUE_FULL`.
+   * @default 100
+   */
+  maxQueue?: number;
+
+  /**
+   * Also serve the SSR and health endpoints on a Unix domain socket.
+   * Pass a path, or `true` to use `ssr.sock` next to the SSR hot file.
+   * The hot file then records `unix:<socket path>` instead of the HTTP URL.
+   * @default false
+   */
+  socket?: string | boolean;
+
+  /**
+   * Protect the SSR and health endpoints with a per-session token.
+   * The token is written as the second line of the SSR hot file, and requests
+   * must send it in the `x-nb-vite-ssr-token` header. No CORS headers are sent.
+   * @default true
+   */
+  auth?: boolean;
+
+  /**
+   * Return the CSS imported by the rendered entry and page in the `css` field of
+   * `/ssr` responses, so Phoenix can put it in the head and avoid a flash of
+   * unstyled content. `'inline'` returns `<style>` tags with the compiled CSS,
+   * `'link'` returns stylesheet links to the dev server. Set to false to disable.
+   * @default 'inline'
+   */
+  css?: 'inline' | 'link' | false;
+
+  /**
+   * Cache up to this many rendered responses, keyed on a hash of the request body,
+   * e.g. for test runs that render the same pages over and over. The cache is
+   * cleared whenever a file loaded by SSR changes. Set to 0 to disable.
+   * @default 0
+   */
+  cache?: number;
+
+  /**
+   * Minimum level of SSR log messages, which go through Vite's logger.
+   * `info` logs every render and file change.
+   * @default 'info'
+   */
+  logLevel?: SSRLogLevel;
+
+  /**
+   * Append one JSON line per render (entry, component, duration, status,
+   * error) to this file, relative to the project root.
+   * @default false
+   */
+  logFile?: string | false;
+
+  /**
+   * Generate a starter SSR entry for the detected framework (React, Vue or
+   * Svelte with Inertia) when the entry file does not exist.
+   * @default false
+   */
+  scaffold?: boolean;
 }
 
+interface SSRWatchConfig {
+  /**
+   * Globs of files that can invalidate the SSR cache, relative to the Vite root.
+   * Directories outside the root (e.g. a sibling workspace package) are added to the watcher.
+   * @default ['js/**']
+   */
+  include?: string[];
+
+  /**
+   * Globs of files that never invalidate the SSR cache.
+   * The nb_routes output file is always excluded when the nbRoutes plugin is used.
+   * @default []
+   */
+  exclude?: string[];
+
+  /**
+   * Extensions to watch in addition to `.ts`, `.tsx`, `.js` and `.jsx` (e.g. `.vue`, `.svelte`, `.mjs`).
+   * @default []
+   */
+  extensions?: string[];
+}
+
+const defaultSSRWatchExtensions = [".ts", ".tsx", ".js", ".jsx"];
+
 interface PluginConfig {
   /**
    * The path or paths of the entry points to compile.
@@ -138,8 +299,161 @@ interface PluginConfig {
    * Transform the code while serving.
    */
   transformOnServe?: (code: string, url: string) => string;
+
+  /**
+   * Write Subresource Integrity digests of the emitted files into the Phoenix
+   * manifest, for `NbVite.vite_assets` to render as `integrity` attributes.
+   * `true` uses sha384.
+   *
+   * @default false
+   */
+  integrity?: boolean | IntegrityAlgorithm;
+
+  /**
+   * Write precompressed `.gz` and `.br` copies of the emitted files next to
+   * them, for `Plug.Static` with `gzip: true` and `brotli: true`.
+   *
+   * @default false
+   */
+  compress?: boolean | CompressConfig;
+
+  /**
+   * Print the size of each manifest entry after the build, write the numbers
+   * as JSON, and fail the build when an entry exceeds its budget.
+   *
+   * @default false
+   */
+  sizeReport?: boolean | SizeReportConfig;
+
+  /**
+   * Compare the Phoenix manifest with the one of the previous build. Keeps the
+   * previous manifest as `manifest.previous.json`, writes `manifest.diff.json`
+   * next to it and prints the added, removed and re-hashed entries.
+   *
+   * @default false
+   */
+  manifestDiff?: boolean | ManifestDiffConfig;
+
+  /**
+   * Delete the files of older builds after a successful build. The files each
+   * build writes are recorded in a `.nb-vite-builds.json` ledger in the build
+   * directory, and only files recorded there are ever deleted.
+   *
+   * @default false
+   */
+  cleanup?: boolean | CleanupConfig;
+}
+
+interface CleanupConfig {
+  /**
+   * How many builds to keep the files of, including the current one. Keep
+   * more than one when old and new app versions serve traffic side by side
+   * during rolling deploys.
+   *
+   * @default 3
+   */
+  keep?: number;
+}
+
+interface ManifestDiffConfig {
+  /**
+   * Delete the files the previous manifest referenced and the new one does
+   * not, with their `.map`, `.gz` and `.br` siblings. Files that were never
+   * in a manifest are left alone.
+   *
+   * @default false
+   */
+  prune?: boolean;
+}
+
+interface SizeReportConfig {
+  /**
+   * Where to write the JSON report, relative to the project root, or `false`
+   * to only print it.
+   *
+   * @default '<outDir>/.vite/size-report.json'
+   */
+  file?: string | false;
+
+  /**
+   * Maximum gzipped sizes in bytes, keyed by manifest entry (e.g. `'js/app.tsx'`).
+   * A number limits the entry's total.
+   *
+   * @default {}
+   */
+  budgets?: Record<string, number | SizeBudget>;
+}
+
+interface SizeBudget {
+  /**
+   * The entry's own JavaScript file
+   */
+  js?: number;
+
+  /**
+   * The chunks the entry statically imports, transitively
+   */
+  imports?: number;
+
+  /**
+   * The CSS of the entry and its imports
+   */
+  css?: number;
+
+  total?: number;
 }
 
+type IntegrityAlgorithm = "sha256" | "sha384" | "sha512";
+
+interface CompressConfig {
+  /**
+   * Write `.gz` files.
+   *
+   * @default true
+   */
+  gzip?: boolean;
+
+  /**
+   * Write `.br` files.
+   *
+   * @default true
+   */
+  brotli?: boolean;
+
+  /**
+   * Only compress files of at least this many bytes.
+   *
+   * @default 1024
+   */
+  threshold?: number;
+
+  /**
+   * gzip compression level, from 1 to 9.
+   *
+   * @default 9
+   */
+  gzipLevel?: number;
+
+  /**
+   * Brotli quality, from 0 to 11.
+   *
+   * @default 11
+   */
+  brotliLevel?: number;
+}
+
+/**
+ * A Phoenix manifest entry: Vite's manifest chunk with paths under
+ * `buildDirectory`, plus SRI digests when `integrity` is enabled.
+ */
+type PhoenixManifestChunk = ManifestChunk & {
+  integrity?: string;
+  cssIntegrity?: Record<string, string>;
+  size?: number;
+  gzipSize?: number;
+  brotliSize?: number;
+};
+
 interface RefreshConfig {
   paths: string[];
   config?: FullReloadConfig;
@@ -153,6 +467,9 @@ type DevServerUrl = `${"http" | "https"}://${string}:${number}`;
 
 let exitHandlersBound = false;
 
+// Cleanup for the SSR endpoint of the most recent dev server (e.g. its Unix socket)
+let cleanupSSREndpoint: (() => void) | undefined;
+
 export const refreshPaths = [
   "lib/**/*.ex",
   "lib/**/*.heex",
@@ -165,10 +482,13 @@ export const refreshPaths = [
 export default function phoenix(
   config: string | string[] | PluginConfig,
 ): PluginOption[] {
+  // `ssr` defaults to `input`, so note whether it was given before resolving
+  const hasSSROption = typeof config === "object" && !Array.isArray(config) && config?.ssr !== undefined;
   const pluginConfig = resolvePluginConfig(config);
+  const ssrEnabled = hasSSROption || (pluginConfig.ssrDev as Required<SSRConfig>).enabled;
 
   return [
-    resolvePhoenixPlugin(pluginConfig),
+    resolvePhoenixPlugin(pluginConfig, ssrEnabled),
     ...(resolveFullReloadConfig(pluginConfig) as Plugin[]),
   ];
 }
@@ -283,6 +603,10 @@ function resolvePluginConfig(
     );
   }
 
+  // Named SSR entries only auto-enable ssrDev when given explicitly; an
+  // object `input` alone is usually just the client entries
+  const hasNamedSSREntries = isInputObject(config.ssr);
+
   if (config.ssr === undefined) {
     config.ssr = config.input;
   }
@@ -303,13 +627,86 @@ function resolvePluginConfig(
     config.detectTls = null;
   }
 
+  if (config.compress === true) {
+    config.compress = {};
+  }
+
+  if (config.compress) {
+    config.compress = {
+      gzip: true,
+      brotli: true,
+      threshold: 1024,
+      gzipLevel: 9,
+      brotliLevel: 11,
+      ...config.compress,
+    };
+
+    const { threshold, gzipLevel, brotliLevel } = config.compress;
+
+    if (typeof threshold !== "number" || !(threshold >= 0)) {
+      throw new Error(
+        `phoenix-vite-plugin: compress.threshold must be a non-negative number. Got: ${threshold}`,
+      );
+    }
+
+    if (!Number.isInteger(gzipLevel) || gzipLevel! < 1 || gzipLevel! > 9) {
+      throw new Error(
+        `phoenix-vite-plugin: compress.gzipLevel must be an integer from 1 to 9. Got: ${gzipLevel}`,
+      );
+    }
+
+    if (!Number.isInteger(brotliLevel) || brotliLevel! < 0 || brotliLevel! > 11) {
+      throw new Error(
+        `phoenix-vite-plugin: compress.brotliLevel must be an integer from 0 to 11. Got: ${brotliLevel}`,
+      );
+    }
+  } else {
+    config.compress = false;
+  }
+
+  if (config.sizeReport === true) {
+    config.sizeReport = {};
+  } else if (config.sizeReport === undefined) {
+    config.sizeReport = false;
+  }
+
+  if (config.manifestDiff === true) {
+    config.manifestDiff = {};
+  } else if (config.manifestDiff === undefined) {
+    config.manifestDiff = false;
+  }
+
+  if (config.cleanup === true) {
+    config.cleanup = {};
+  }
+
+  if (config.cleanup) {
+    config.cleanup = { keep: 3, ...config.cleanup };
+
+    if (!Number.isInteger(config.cleanup.keep) || config.cleanup.keep! < 1) {
+      throw new Error(
+        `phoenix-vite-plugin: cleanup.keep must be a positive integer. Got: ${config.cleanup.keep}`,
+      );
+    }
+  } else {
+    config.cleanup = false;
+  }
+
+  if (config.integrity === true) {
+    config.integrity = "sha384";
+  } else if (config.integrity === undefined) {
+    config.integrity = false;
+  }
+
   // Normalize SSR dev config
   // If ssr is set (for production builds), auto-enable ssrDev with the same entry point
   if (config.ssrDev === true) {
     config.ssrDev = {};
   } else if (config.ssrDev === undefined) {
     // Auto-enable ssrDev if ssr is configured (unified SSR entry)
-    config.ssrDev = typeof config.ssr === 'string' ? {} : { enabled: false };
+    config.ssrDev = typeof config.ssr === 'string' || hasNamedSSREntries
+      ? {}
+      : { enabled: false };
   } else if (config.ssrDev === false) {
     config.ssrDev = { enabled: false };
   }
@@ -330,11 +727,56 @@ function resolvePluginConfig(
       // This enables unified SSR entry: set ssr once, use for both dev and prod
       ssrDev.entryPoint = typeof config.ssr === 'string'
         ? `./${config.ssr}`
-        : './js/ssr.tsx';
+        : isInputObject(config.ssr)
+          ? Object.fromEntries(
+              Object.entries(config.ssr).map(([name, entry]) => [name, `./${entry}`]),
+            )
+          : './js/ssr.tsx';
     }
     if (ssrDev.hotFile === undefined) {
       ssrDev.hotFile = path.join('priv', 'ssr-hot');
     }
+    if (ssrDev.streaming === undefined) {
+      ssrDev.streaming = true;
+    }
+    if (ssrDev.timeout === undefined) {
+      ssrDev.timeout = 10000;
+    }
+    if (ssrDev.concurrency === undefined) {
+      ssrDev.concurrency = 0;
+    }
+    if (ssrDev.maxQueue === undefined) {
+      ssrDev.maxQueue = 100;
+    }
+    if (ssrDev.socket === true) {
+      ssrDev.socket = path.join(path.dirname(ssrDev.hotFile), 'ssr.sock');
+    } else if (ssrDev.socket === undefined) {
+      ssrDev.socket = false;
+    }
+    if (ssrDev.auth === undefined) {
+      ssrDev.auth = true;
+    }
+    if (ssrDev.css === undefined) {
+      ssrDev.css = 'inline';
+    }
+    if (ssrDev.cache === undefined) {
+      ssrDev.cache = 0;
+    }
+    if (ssrDev.scaffold === undefined) {
+      ssrDev.scaffold = false;
+    }
+    if (ssrDev.logLevel === undefined) {
+      ssrDev.logLevel = 'info';
+    }
+    if (ssrDev.logFile === undefined) {
+      ssrDev.logFile = false;
+    }
+    ssrDev.watch = {
+      include: ['js/**'],
+      exclude: [],
+      extensions: [],
+      ...ssrDev.watch,
+    };
     config.ssrDev = ssrDev;
   }
 
@@ -370,193 +812,642 @@ function resolvePluginConfig(
     reactRefresh: config.reactRefresh,
     detectTls: config.detectTls,
     transformOnServe: config.transformOnServe ?? ((code) => code),
+    integrity: config.integrity,
+    compress: config.compress,
+    sizeReport: config.sizeReport,
+    manifestDiff: config.manifestDiff,
+    cleanup: config.cleanup,
   };
 }
 
+/**
+ * Check whether a Rollup input option uses the `{ name: path }` object form.
+ */
+function isInputObject(
+  input: string | string[] | Rollup.InputOption | undefined,
+): input is Record<string, string> {
+  return typeof input === 'object' && input !== null && !Array.isArray(input);
+}
+
+/**
+ * Build the predicate deciding which changed files reach SSR cache invalidation.
+ */
+function resolveSSRWatchFilter(
+  viteServer: ViteDevServer,
+  watch: Required<SSRWatchConfig>,
+): (file: string) => boolean {
+  const root = viteServer.config.root;
+
+  // Never invalidate on nb_routes output: it is regenerated on every router change
+  const nbRoutesApi = viteServer.config.plugins.find(
+    (plugin) => plugin.name === 'nb-routes',
+  )?.api as NbRoutesPluginApi | undefined;
+
+  const filter = createFilter(
+    watch.include,
+    [...watch.exclude, ...(nbRoutesApi?.generatedFiles ?? [])],
+    { resolve: root },
+  );
+  const extensions = [
+    ...defaultSSRWatchExtensions,
+    ...watch.extensions.map((ext) => (ext.startsWith('.') ? ext : `.${ext}`)),
+  ];
+
+  // Vite only watches its root; add include directories that live outside it
+  for (const pattern of watch.include) {
+    const staticSegments: string[] = [];
+    for (const segment of pattern.split('/')) {
+      if (/[*?[\]{}!]/.test(segment)) {
+        break;
+      }
+      staticSegments.push(segment);
+    }
+
+    const baseDir = path.resolve(root, staticSegments.join('/'));
+    if (path.relative(root, baseDir).startsWith('..')) {
+      viteServer.watcher.add(baseDir);
+    }
+  }
+
+  return (file: string) =>
+    extensions.some((ext) => file.endsWith(ext)) && filter(file);
+}
+
+interface SSRInvalidation {
+  file: string;
+  modules: string[];
+  entries: string[];
+  at: string;
+}
+
+/**
+ * Collect the given modules and everything that transitively imports them.
+ */
+function collectImporters(
+  modules: Iterable<EnvironmentModuleNode>,
+): Set<EnvironmentModuleNode> {
+  const affected = new Set<EnvironmentModuleNode>();
+  const queue = [...modules];
+
+  while (queue.length > 0) {
+    const mod = queue.pop()!;
+    if (affected.has(mod)) {
+      continue;
+    }
+    affected.add(mod);
+    queue.push(...mod.importers);
+  }
+
+  return affected;
+}
+
+/**
+ * Collect the given modules and everything they statically import.
+ */
+function collectStaticImports(
+  modules: Iterable<EnvironmentModuleNode>,
+): Set<EnvironmentModuleNode> {
+  const visited = new Set<EnvironmentModuleNode>();
+  const collected = new Set<EnvironmentModuleNode>();
+
+  // Depth-first, dependencies before their importers: the order the modules
+  // are evaluated in, which keeps CSS in cascade order
+  const visit = (mod: EnvironmentModuleNode) => {
+    if (visited.has(mod)) {
+      return;
+    }
+    visited.add(mod);
+
+    // The SSR transform lists static imports as `deps`, dynamic ones as `dynamicDeps`
+    const deps = mod.transformResult?.deps ?? [];
+    for (const imported of mod.importedModules) {
+      if (deps.includes(imported.url)) {
+        visit(imported);
+      }
+    }
+
+    collected.add(mod);
+  };
+
+  for (const mod of modules) {
+    visit(mod);
+  }
+
+  return collected;
+}
+
+/**
+ * Whether a module id belongs to the app itself, rather than a dependency or a virtual module.
+ */
+function isAppModule(id: string): boolean {
+  return !id.startsWith("\0") && !id.includes("/node_modules/");
+}
+
+/**
+ * Check the SSR entries on startup, generating missing ones when `scaffold` is enabled.
+ */
+function checkSSREntries(
+  entries: Map<string, SSREntry>,
+  ssrConfig: Required<SSRConfig>,
+  root: string,
+  logger: SSRLogger,
+): void {
+  const frameworks = detectSSRFrameworks(root);
+
+  for (const entry of entries.values()) {
+    const entryPath = path.resolve(root, entry.entryPoint);
+
+    if (!fs.existsSync(entryPath)) {
+      if (!ssrConfig.scaffold) {
+        logger.error(
+          `[nb-vite:ssr] ${colors.red("Error")}: SSR entry "${entry.name}" not found at ${entry.entryPoint}. ` +
+            `Create it, or set ssrDev.scaffold: true to generate a starter entry` +
+            (frameworks.length > 0 ? ` for ${frameworks[0]}` : ""),
+        );
+        continue;
+      }
+
+      if (frameworks.length === 0) {
+        logger.error(
+          `[nb-vite:ssr] ${colors.red("Error")}: Cannot generate SSR entry "${entry.name}": ` +
+            `none of react, vue or svelte is installed`,
+        );
+        continue;
+      }
+
+      fs.mkdirSync(path.dirname(entryPath), { recursive: true });
+      fs.writeFileSync(entryPath, createSSREntryTemplate(frameworks[0], entry.entryPoint));
+      logger.info(`[nb-vite:ssr] Generated a ${frameworks[0]} SSR entry at ${entry.entryPoint}`);
+      continue;
+    }
+
+    const source = fs.readFileSync(entryPath, "utf-8");
+    for (const problem of findSSREntryProblems(source, root, frameworks)) {
+      logger.warn(
+        `[nb-vite:ssr] ${colors.yellow("Warning")}: SSR entry "${entry.name}" (${entry.entryPoint}): ${problem}`,
+      );
+    }
+  }
+}
+
 /**
  * Setup SSR endpoint in the Vite dev server using Module Runner API
  */
 async function setupSSREndpoint(
   viteServer: ViteDevServer,
-  ssrConfig: Required<SSRConfig>
-): Promise<{ cleanup: () => void } | null> {
-  console.log('[nb-vite:ssr] Initializing SSR endpoint with Module Runner...');
+  ssrConfig: Required<SSRConfig>,
+  resolveDevServerBase: () => string,
+): Promise<{ cleanup: () => void; socketPath: string | null; token: string | null } | null> {
+  const startedAt = Date.now();
+  const logger = createSSRLogger(viteServer.config.logger, ssrConfig.logLevel);
+  logger.info('[nb-vite:ssr] Initializing SSR endpoint with Module Runner...');
+
+  // Create a dedicated runner for the SSR environment. The runner provides
+  // module execution with automatic source map support. HMR stays off: any
+  // change would make it full-reload every module, which defeats the targeted
+  // invalidation done by the file watcher below. Imported here because Vite 5
+  // does not export it, and the plugin must still load there without SSR.
+  const { createServerModuleRunner } = await import("vite") as Partial<typeof import("vite")>;
+  if (!createServerModuleRunner || !viteServer.environments) {
+    throw new Error(
+      `phoenix-vite-plugin: ssrDev needs the Module Runner API of Vite 6 or later. Got: Vite ${viteVersion}`,
+    );
+  }
 
-  // Get the SSR environment and create/access its runner
-  // The runner provides module execution with automatic source map support
   const ssrEnvironment = viteServer.environments.ssr;
-  // @ts-ignore - runner property exists in Vite 6+ but may not be typed yet
-  const runner = ssrEnvironment.runner || (await ssrEnvironment.createModuleRunner());
+  const runner = createServerModuleRunner(ssrEnvironment, { hmr: false });
 
-  let cachedRender: ((page: unknown) => Promise<unknown>) | null = null;
+  const entries = resolveSSREntries(ssrConfig.entryPoint);
+  checkSSREntries(entries, ssrConfig, viteServer.config.root, logger);
+
+  let lastInvalidation: SSRInvalidation | null = null;
+  const renderQueue = createRenderQueue(ssrConfig.concurrency, ssrConfig.maxQueue);
+  const token = ssrConfig.auth ? generateSSRToken() : null;
+  const responseCache = ssrConfig.cache > 0 ? createResponseCache(ssrConfig.cache) : null;
+  const renderLog = ssrConfig.logFile
+    ? createSSRRenderLog(path.resolve(viteServer.config.root, ssrConfig.logFile), logger)
+    : null;
+
+  // Record the modules the runner fetches while a render is running; dynamic
+  // imports are fetched on every call, even when the module is cached
+  const fetchModule = ssrEnvironment.fetchModule.bind(ssrEnvironment);
+  ssrEnvironment.fetchModule = (...args: Parameters<typeof fetchModule>) => {
+    trackSSRModules(args[0]);
+    return fetchModule(...args);
+  };
+
+  // Preload the client versions of the modules a render imported, and collect
+  // the CSS of the entry and those modules so the page is styled before the
+  // client JS boots. Only dynamic imports are fetched during a render; the
+  // entry's static imports were fetched when it loaded, so they are not listed.
+  async function resolveAssets(modules: Set<string>, entry: SSREntry): Promise<SSRRenderAssets> {
+    const imported: EnvironmentModuleNode[] = [];
+    for (const url of modules) {
+      const mod = await ssrEnvironment.moduleGraph.getModuleByUrl(url);
+      if (mod) {
+        imported.push(mod);
+      }
+    }
+
+    const base = resolveDevServerBase();
+    const preload = [...collectStaticImports(imported)]
+      .filter((mod) => mod.file && mod.id && isAppModule(mod.id))
+      .map((mod) => `${base}${mod.url}`);
+
+    if (!ssrConfig.css) {
+      return { preload };
+    }
+
+    const entryModules = ssrEnvironment.moduleGraph.getModulesByFile(
+      path.resolve(viteServer.config.root, entry.entryPoint),
+    ) ?? [];
+    const cssModules = [...collectStaticImports([...entryModules, ...imported])]
+      .filter((mod) => mod.id && isCSSRequest(mod.id));
+
+    const css: string[] = [];
+    for (const mod of cssModules) {
+      // `data-vite-dev-id` lets the Vite client take over these tags instead of
+      // injecting the same styles again
+      if (ssrConfig.css === 'link') {
+        css.push(`<link rel="stylesheet" href="${base}${mod.url}" data-vite-dev-id="${mod.id}">`);
+        continue;
+      }
+
+      try {
+        const result = await viteServer.environments.client.transformRequest(
+          `${mod.url}${mod.url.includes('?') ? '&' : '?'}direct`,
+        );
+        if (result) {
+          css.push(
+            `<style type="text/css" data-vite-dev-id="${mod.id}">${result.code.replace(/<\/style/gi, '<\\/style')}</style>`,
+          );
+        }
+      } catch (error) {
+        logger.warn(`[nb-vite:ssr] Failed to collect CSS from ${mod.url}: ${formatLoggedError(error)}`);
+      }
+    }
+
+    return { preload, css };
+  }
 
   // Watch for file changes and invalidate cache
-  viteServer.watcher.on('change', async (file: string) => {
-    const jsDir = path.resolve(viteServer.config.root, "./js");
-    if (!file.startsWith(jsDir) || !file.match(/\.(tsx?|jsx?)$/)) {
+  const shouldInvalidate = resolveSSRWatchFilter(
+    viteServer,
+    ssrConfig.watch as Required<SSRWatchConfig>,
+  );
+
+  viteServer.watcher.on('change', (file: string) => {
+    // Cached responses also embed CSS, which the watch filter leaves out
+    if (responseCache && ssrEnvironment.moduleGraph.getModulesByFile(file)?.size) {
+      responseCache.clear();
+    }
+
+    if (!shouldInvalidate(file)) {
       return;
     }
 
-    // Skip auto-generated files that don't affect SSR
-    const fileName = file.split('/').pop() || '';
-    if (fileName === 'routes.js' || fileName === 'routes.d.ts') {
-      console.log(`[nb-vite:ssr] Skipping SSR cache invalidation for: ${file.replace(viteServer.config.root, '')}`);
+    const relativeFile = file.replace(viteServer.config.root, '');
+
+    // Only modules the SSR environment has actually loaded can affect a render
+    const changedModules = ssrEnvironment.moduleGraph.getModulesByFile(file);
+    if (!changedModules || changedModules.size === 0) {
       return;
     }
 
-    console.log(`[nb-vite:ssr] File changed: ${file.replace(viteServer.config.root, '')}`);
+    // Walk up the importer chain so everything between the changed file and
+    // the entry is re-executed, while unrelated modules stay cached
+    const affected = collectImporters(changedModules);
+
+    for (const mod of affected) {
+      ssrEnvironment.moduleGraph.invalidateModule(mod);
 
-    // Invalidate the changed module in the module graph
-    const mods = await viteServer.moduleGraph.getModulesByFile(file);
-    if (mods) {
-      for (const mod of mods) {
-        await viteServer.moduleGraph.invalidateModule(mod);
+      if (mod.file) {
+        for (const evaluated of runner.evaluatedModules.getModulesByFile(mod.file) ?? []) {
+          runner.evaluatedModules.invalidateModule(evaluated);
+        }
       }
     }
 
-    // Clear the module runner cache
-    runner.clearCache();
-    cachedRender = null;
+    const invalidatedEntries: string[] = [];
+    for (const entry of entries.values()) {
+      const entryPath = path.resolve(viteServer.config.root, entry.entryPoint);
+      const entryModules = ssrEnvironment.moduleGraph.getModulesByFile(entryPath);
+
+      if (entryModules && [...entryModules].some((mod) => affected.has(mod))) {
+        entry.stale = true;
+        invalidatedEntries.push(entry.name);
+      }
+    }
 
-    console.log('[nb-vite:ssr] Cache invalidated - will reload on next request');
+    lastInvalidation = {
+      file: relativeFile,
+      modules: [...affected].map((mod) =>
+        mod.file ? mod.file.replace(viteServer.config.root, '') : mod.url,
+      ),
+      entries: invalidatedEntries,
+      at: new Date().toISOString(),
+    };
+
+    logger.info(
+      `[nb-vite:ssr] File changed: ${relativeFile} - invalidated ${affected.size} module(s)` +
+        (invalidatedEntries.length > 0
+          ? `, reloading entries on next request: ${invalidatedEntries.join(', ')}`
+          : ''),
+    );
   });
 
-  // Load the render function
-  async function loadRenderFunction(): Promise<(page: unknown) => Promise<unknown>> {
-    if (!cachedRender) {
-      const ssrEntryPath = path.resolve(viteServer.config.root, ssrConfig.entryPoint!);
-      console.log(`[nb-vite:ssr] Loading SSR entry: ${ssrEntryPath}`);
-
-      // Invalidate module graph for fresh reload
-      const mods = await viteServer.moduleGraph.getModulesByFile(ssrEntryPath);
-      if (mods) {
-        for (const mod of mods) {
-          await viteServer.moduleGraph.invalidateModule(mod);
-        }
-      }
+  // Show an SSR failure in the browser through Vite's error overlay
+  function showErrorOverlay(errorPayload: SSRErrorPayload) {
+    const hmr = viteServer.config.server.hmr;
+    if (hmr !== false && (typeof hmr !== 'object' || hmr.overlay !== false)) {
+      viteServer.ws.send({ type: 'error', err: errorPayload });
+    }
+  }
+
+  // Load the SSR entry module. Concurrent requests share one import, and
+  // requests keep rendering with the previous module until the new one is ready
+  function loadSSRModule(entry: SSREntry): Promise<SSRModule> {
+    if (entry.loading) {
+      return entry.loading;
+    }
 
-      // Clear the module runner cache
-      runner.clearCache();
+    if (entry.module && !entry.stale) {
+      return Promise.resolve(entry.module);
+    }
+
+    entry.loading = importSSRModule(entry).finally(() => {
+      entry.loading = null;
+    });
 
+    return entry.loading;
+  }
+
+  async function importSSRModule(entry: SSREntry): Promise<SSRModule> {
+    const ssrEntryPath = path.resolve(viteServer.config.root, entry.entryPoint);
+    logger.info(`[nb-vite:ssr] Loading SSR entry "${entry.name}": ${ssrEntryPath}`);
+
+    // Cleared up front so a change made during the import marks it stale again
+    entry.stale = false;
+
+    try {
+      // Changed modules were already invalidated by the watcher, so the
+      // runner only re-executes what changed since the last import.
       // Import the module using Module Runner API
       // This automatically handles:
       // - Source map support
       // - Module execution in SSR context
       // - Proper module resolution
-      const ssrModule = await runner.import(ssrEntryPath) as { render?: (page: unknown) => Promise<unknown> };
+      const ssrModule = validateSSRModule(await runner.import(ssrEntryPath) as SSRModule);
+
+      entry.module = ssrModule;
+      entry.reloadError = null;
+      entry.loadedAt = new Date().toISOString();
+      entry.loadError = null;
+      logger.info(
+        `[nb-vite:ssr] SSR ${ssrModule.renderToStream ? 'streaming ' : ''}render function for "${entry.name}" loaded successfully`,
+      );
 
-      if (!ssrModule.render || typeof ssrModule.render !== 'function') {
-        throw new Error('SSR entry must export a "render" function');
+      return ssrModule;
+    } catch (error) {
+      entry.loadError = {
+        message: error instanceof Error ? error.message : String(error),
+        at: new Date().toISOString(),
+      };
+
+      if (!entry.module) {
+        throw error;
       }
 
-      cachedRender = ssrModule.render;
-      console.log('[nb-vite:ssr] SSR render function loaded successfully');
-    }
+      // Keep serving the last working module until the next change
+      entry.reloadError = error instanceof Error ? error : new Error(String(error));
+      logger.warn(
+        `[nb-vite:ssr] ${colors.yellow("Warning")}: Failed to reload SSR entry "${entry.name}", rendering with the last working version: ` +
+          formatLoggedError(error),
+      );
+      showErrorOverlay(buildSSRErrorPayload(error, viteServer.config.root));
 
-    return cachedRender;
+      return entry.module;
+    }
   }
 
-  // Helper to read request body
-  function readBody(req: IncomingMessage): Promise<string> {
-    return new Promise((resolve, reject) => {
-      let body = '';
-      req.on('data', (chunk: Buffer | string) => body += chunk);
-      req.on('end', () => resolve(body));
-      req.on('error', reject);
-    });
+  // Import the module of an island request. Only project files can be imported,
+  // so a request cannot execute arbitrary code on the machine
+  async function loadIsland(request: SSRIslandRequest) {
+    const root = viteServer.config.root;
+    const modulePath = path.resolve(root, request.module);
+
+    if (
+      !modulePath.startsWith(root + path.sep) ||
+      modulePath.includes(`${path.sep}node_modules${path.sep}`) ||
+      !fs.existsSync(modulePath)
+    ) {
+      throw new SSRRequestError(
+        `Island module not found in the project: ${request.module}`,
+        'SSR_ISLAND_NOT_FOUND',
+        404,
+      );
+    }
+
+    const url = `/${normalizePath(path.relative(root, modulePath))}`;
+
+    // The runner does not fetch cached modules again, so record the island
+    // itself for preload hints and CSS
+    trackSSRModules(url);
+
+    return {
+      exports: await runner.import(url) as Record<string, unknown>,
+      script: `${resolveDevServerBase()}${url}`,
+    };
   }
 
-  // Add health check endpoint
-  viteServer.middlewares.use(async (req: IncomingMessage, res: ServerResponse, next: () => void) => {
-    if (req.url === ssrConfig.healthPath && req.method === 'GET') {
-      res.setHeader('Content-Type', 'application/json');
-      res.setHeader('Access-Control-Allow-Origin', '*');
-      res.end(JSON.stringify({
-        status: 'ok',
-        ready: !!cachedRender,
-        mode: 'vite-plugin',
-      }));
+  // Health check endpoint, with `/live` and `/ready` probes for supervisors
+  // and container healthchecks
+  function handleHealthRequest(req: IncomingMessage, res: ServerResponse, next: () => void) {
+    const probe = matchSSRHealthProbe(req, ssrConfig.healthPath);
+    if (!probe) {
+      next();
       return;
     }
 
-    next();
-  });
+    if (!isAuthorizedSSRRequest(req, token)) {
+      sendUnauthorized(res);
+      return;
+    }
 
-  // Add SSR endpoint
-  viteServer.middlewares.use(async (req: IncomingMessage, res: ServerResponse, next: () => void) => {
-    if (req.url !== ssrConfig.path) {
-      return next();
+    if (!token) {
+      res.setHeader('Access-Control-Allow-Origin', '*');
     }
 
-    // CORS headers
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    sendSSRHealth(res, probe, {
+      ...describeSSREntries(entries),
+      mode: 'vite-plugin',
+      version: pluginVersion(),
+      viteVersion,
+      uptime: Math.round((Date.now() - startedAt) / 1000),
+      lastInvalidation,
+      queue: renderQueue.stats(),
+      cache: responseCache?.stats() ?? null,
+    });
+  }
+
+  // SSR endpoint
+  const handleSSRRequest = createSSRRequestHandler({
+    path: ssrConfig.path,
+    entries,
+    loadModule: loadSSRModule,
+    streaming: ssrConfig.streaming,
+    timeout: ssrConfig.timeout,
+    queue: renderQueue,
+    root: viteServer.config.root,
+    token,
+    cache: responseCache,
+    resolveAssets,
+    loadIsland,
+    logger,
+    onRender: renderLog ? (record) => renderLog.write(record) : undefined,
+    onError: (error, errorPayload) => {
+      // Only render and load failures belong in the overlay; bad requests and
+      // a full queue are the caller's problem
+      const status = error instanceof SSRRequestError ? error.statusCode : 500;
+      if (status >= 500 && !(error instanceof SSRQueueFullError)) {
+        showErrorOverlay(errorPayload);
+      }
+    },
+  });
 
-    // Handle preflight
-    if (req.method === 'OPTIONS') {
-      res.statusCode = 200;
-      res.end();
-      return;
-    }
+  viteServer.middlewares.use(handleHealthRequest);
+  viteServer.middlewares.use((req, res, next) => {
+    handleSSRRequest(req, res, next).catch(next);
+  });
 
-    // Only allow POST
-    if (req.method !== 'POST') {
-      res.statusCode = 405;
-      res.end('Method not allowed');
-      return;
+  const socket = typeof ssrConfig.socket === 'string'
+    ? await listenOnSSRSocket(path.resolve(ssrConfig.socket), (req, res) => {
+        handleHealthRequest(req, res, () =>
+          handleSSRRequest(req, res, () => {
+            res.statusCode = 404;
+            res.end('Not found');
+          }).catch((error) => {
+            logger.error(`[nb-vite:ssr] Unhandled error in SSR request handler: ${formatLoggedError(error)}`);
+            if (!res.headersSent) {
+              res.statusCode = 500;
+            }
+            res.end();
+          }),
+        );
+      }, logger)
+    : null;
+
+  viteServer.httpServer?.once('close', () => socket?.close());
+
+  logger.info(`[nb-vite:ssr] SSR endpoint ready at http://localhost:${viteServer.config.server.port || 5173}${ssrConfig.path}`);
+  logger.info(`[nb-vite:ssr] Health check at http://localhost:${viteServer.config.server.port || 5173}${ssrConfig.healthPath}`);
+
+  if (socket) {
+    logger.info(`[nb-vite:ssr] SSR endpoint also listening on unix:${socket.path}`);
+  }
+
+  if (token) {
+    logger.info(`[nb-vite:ssr] Requests must send the ${SSR_TOKEN_HEADER} header from ${ssrConfig.hotFile}`);
+  }
+
+  if (entries.size > 1) {
+    logger.info(`[nb-vite:ssr] Named SSR entries: ${[...entries.keys()].map((name) => `${ssrConfig.path}/${name}`).join(', ')}`);
+  }
+
+  // Pre-load the SSR entries once the server is listening; before that Vite's
+  // plugins have not started, and entries that import CSS fail to load
+  viteServer.httpServer?.once('listening', async () => {
+    for (const entry of entries.values()) {
+      try {
+        await loadSSRModule(entry);
+      } catch (error) {
+        logger.error(`[nb-vite:ssr] Failed to pre-load SSR entry "${entry.name}": ${formatLoggedError(error)}`);
+      }
     }
+  });
+
+  return {
+    cleanup: () => {
+      socket?.close();
+      renderLog?.close();
+      runner.close().catch(() => {});
+    },
+    socketPath: socket?.path ?? null,
+    token,
+  };
+}
 
+/**
+ * Serve SSR requests on a Unix domain socket.
+ *
+ * Only removes socket files, never regular files, and only the socket it
+ * created itself (a restarted dev server may already have bound a new one).
+ */
+async function listenOnSSRSocket(
+  socketPath: string,
+  handler: (req: IncomingMessage, res: ServerResponse) => void,
+  logger: SSRLogger,
+): Promise<{ path: string; close: () => void } | null> {
+  const isSocket = () => {
     try {
-      // Read request body
-      const body = await readBody(req);
-      const page = JSON.parse(body);
-
-      console.log(`[nb-vite:ssr] Rendering page: ${page.component}`);
-
-      // Load render function (cached after first load)
-      const render = await loadRenderFunction();
+      return fs.statSync(socketPath).isSocket();
+    } catch {
+      return false;
+    }
+  };
 
-      // Render the page
-      const result = await render(page);
+  if (fs.existsSync(socketPath) && !isSocket()) {
+    logger.error(
+      `[nb-vite:ssr] ${colors.red("Error")}: ${socketPath} exists and is not a socket, not listening on it`,
+    );
+    return null;
+  }
 
-      // Send response
-      res.setHeader('Content-Type', 'application/json');
-      res.end(JSON.stringify({
-        success: true,
-        result: result,
-      }));
+  // A socket left behind by a crashed dev server would make listen() fail
+  if (isSocket()) {
+    fs.rmSync(socketPath);
+  }
 
-      console.log(`[nb-vite:ssr] Rendered successfully`);
-    } catch (error) {
-      console.error('[nb-vite:ssr] Render error:', error);
-
-      res.statusCode = 500;
-      res.setHeader('Content-Type', 'application/json');
-      res.end(JSON.stringify({
-        success: false,
-        error: {
-          message: error instanceof Error ? error.message : String(error),
-          stack: error instanceof Error ? error.stack : undefined,
-        },
-      }));
-    }
-  });
+  fs.mkdirSync(path.dirname(socketPath), { recursive: true });
 
-  console.log(`[nb-vite:ssr] SSR endpoint ready at http://localhost:${viteServer.config.server.port || 5173}${ssrConfig.path}`);
-  console.log(`[nb-vite:ssr] Health check at http://localhost:${viteServer.config.server.port || 5173}${ssrConfig.healthPath}`);
+  const server = http.createServer(handler);
 
-  // Pre-load the render function
   try {
-    await loadRenderFunction();
+    await new Promise<void>((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(socketPath, () => {
+        server.off('error', reject);
+        resolve();
+      });
+    });
   } catch (error) {
-    console.error('[nb-vite:ssr] Failed to pre-load SSR entry:', error);
+    logger.error(
+      `[nb-vite:ssr] ${colors.red("Error")}: Failed to listen on ${socketPath}: ` +
+        `${error instanceof Error ? error.message : String(error)}`,
+    );
+    return null;
   }
 
+  const inode = fs.statSync(socketPath).ino;
+  let closed = false;
+
   return {
-    cleanup: () => {
-      // Cleanup if needed
-    }
+    path: socketPath,
+    close: () => {
+      if (closed) {
+        return;
+      }
+      closed = true;
+      server.close();
+
+      try {
+        if (fs.statSync(socketPath).ino === inode) {
+          fs.rmSync(socketPath);
+        }
+      } catch {
+        // Already removed
+      }
+    },
   };
 }
 
@@ -565,6 +1456,7 @@ async function setupSSREndpoint(
  */
 function resolvePhoenixPlugin(
   pluginConfig: Required<PluginConfig>,
+  ssrEnabled: boolean,
 ): PhoenixPlugin {
   let viteDevServerUrl: DevServerUrl;
   let resolvedConfig: ResolvedConfig;
@@ -614,9 +1506,12 @@ function resolvePhoenixPlugin(
         publicDir: userConfig.publicDir ?? false,
         build: {
           manifest: userConfig.build?.manifest ?? (ssr ? false : true),
+          // Written by the client build, where it maps source modules to the
+          // client chunks and CSS; copied next to the SSR bundle for preload
+          // hints. Apps without SSR keep their build output as it was.
           ssrManifest:
             userConfig.build?.ssrManifest ??
-            (ssr ? "ssr-manifest.json" : false),
+            (!ssr && ssrEnabled ? ".vite/ssr-manifest.json" : false),
           outDir: userConfig.build?.outDir ?? resolveOutDir(pluginConfig, ssr),
           assetsDir: userConfig.build?.assetsDir ?? (ssr ? "" : "."),
           emptyOutDir: false,
@@ -755,8 +1650,13 @@ function resolvePhoenixPlugin(
       // Setup SSR if enabled
       const ssrSetup =
         typeof pluginConfig.ssrDev === 'object' && pluginConfig.ssrDev.enabled
-          ? await setupSSREndpoint(server, pluginConfig.ssrDev as Required<SSRConfig>)
+          ? await setupSSREndpoint(
+              server,
+              pluginConfig.ssrDev as Required<SSRConfig>,
+              () => `${viteDevServerUrl ?? ""}${server.config.base.replace(/\/$/, "")}`,
+            )
           : null;
+      cleanupSSREndpoint = ssrSetup?.cleanup;
 
       server.httpServer?.once("listening", () => {
         const address = server.httpServer?.address();
@@ -790,14 +1690,25 @@ function resolvePhoenixPlugin(
             // Write SSR hot file if SSR is enabled
             if (typeof pluginConfig.ssrDev === 'object' && pluginConfig.ssrDev.enabled && pluginConfig.ssrDev.hotFile) {
               try {
-                const ssrUrl = `${viteDevServerUrl}${server.config.base.replace(/\/$/, "")}${pluginConfig.ssrDev.path}`;
+                // Prefer the Unix socket transport when it is listening
+                const ssrUrl = ssrSetup?.socketPath
+                  ? `unix:${ssrSetup.socketPath}`
+                  : `${viteDevServerUrl}${server.config.base.replace(/\/$/, "")}${pluginConfig.ssrDev.path}`;
                 const ssrHotDir = path.dirname(pluginConfig.ssrDev.hotFile);
 
                 if (!fs.existsSync(ssrHotDir)) {
                   fs.mkdirSync(ssrHotDir, { recursive: true });
                 }
 
-                fs.writeFileSync(pluginConfig.ssrDev.hotFile, ssrUrl);
+                // The SSR token goes on the second line, readable only by the owner.
+                // `mode` only applies to new files, so tighten one left by an
+                // earlier session as well.
+                fs.writeFileSync(
+                  pluginConfig.ssrDev.hotFile,
+                  ssrSetup?.token ? `${ssrUrl}\n${ssrSetup.token}\n` : ssrUrl,
+                  { mode: 0o600 },
+                );
+                fs.chmodSync(pluginConfig.ssrDev.hotFile, 0o600);
 
                 if (process.env.DEBUG || process.env.VERBOSE) {
                   console.log(
@@ -932,6 +1843,8 @@ function resolvePhoenixPlugin(
               }
             }
           }
+
+          cleanupSSREndpoint?.();
         };
 
         process.on("exit", clean);
@@ -974,10 +1887,50 @@ function resolvePhoenixPlugin(
           next();
         });
     },
-    writeBundle() {
+    renderDynamicImport({ targetModuleId }) {
+      // SSR builds report each dynamic import, with the app modules it
+      // statically imports, to the production SSR server for preload hints
+      if (!resolvedConfig.build.ssr || !targetModuleId || !isAppModule(targetModuleId)) {
+        return null;
+      }
+
+      const imported = new Set<string>();
+      const queue = [targetModuleId];
+
+      while (queue.length > 0) {
+        const id = queue.pop()!;
+        if (imported.has(id) || !isAppModule(id)) {
+          continue;
+        }
+        imported.add(id);
+        queue.push(...(this.getModuleInfo(id)?.importedIds ?? []));
+      }
+
+      const moduleIds = [...imported].map((id) =>
+        normalizePath(path.relative(resolvedConfig.root, id)),
+      );
+
+      return {
+        left: `(globalThis.${SSR_IMPORT_TRACKER} ?? ((_, chunk) => chunk))(${JSON.stringify(moduleIds)}, import(`,
+        right: "))",
+      };
+    },
+    async writeBundle(_options, bundle) {
       // Only generate manifest for non-SSR builds
       // Use writeBundle instead of generateBundle so we can read Vite's generated manifest
       if (!resolvedConfig.build.ssr) {
+        // Vite's own manifests are rewritten by every build
+        const emittedFiles = Object.keys(bundle).filter((fileName) => !fileName.startsWith(".vite/"));
+
+        // Compressed first, so the manifest can list the compressed sizes
+        const sizes = pluginConfig.compress
+          ? await compressBuildOutput(
+              resolvedConfig,
+              emittedFiles,
+              pluginConfig.compress as Required<CompressConfig>,
+            )
+          : null;
+
         try {
           // Read Vite's generated manifest
           const viteManifestPath = path.join(
@@ -999,10 +1952,32 @@ function resolvePhoenixPlugin(
           ) as Manifest;
 
           // Transform Vite's manifest to add the buildDirectory prefix to file paths
-          const manifest = {} as Manifest;
+          const manifest: Record<string, PhoenixManifestChunk> = {};
+          const digest = pluginConfig.integrity
+            ? createIntegrityDigest(resolvedConfig.build.outDir, pluginConfig.integrity as IntegrityAlgorithm)
+            : null;
 
           for (const [key, entry] of Object.entries(viteManifest)) {
-            const transformedEntry = { ...entry };
+            const transformedEntry: PhoenixManifestChunk = { ...entry };
+
+            const fileSizes = sizes?.get(entry.file);
+            if (fileSizes) {
+              transformedEntry.size = fileSizes.size;
+              transformedEntry.gzipSize = fileSizes.gzip;
+              transformedEntry.brotliSize = fileSizes.brotli;
+            }
+
+            // Imported chunks are manifest entries themselves, so their
+            // digests are the `integrity` of those entries
+            if (digest) {
+              transformedEntry.integrity = digest(entry.file);
+
+              if (entry.css && entry.css.length > 0) {
+                transformedEntry.cssIntegrity = Object.fromEntries(
+                  entry.css.map((css) => [`${pluginConfig.buildDirectory}/${css}`, digest(css)]),
+                );
+              }
+            }
 
             // Add buildDirectory prefix to file path
             if (entry.file) {
@@ -1039,6 +2014,10 @@ function resolvePhoenixPlugin(
             fs.mkdirSync(manifestDir, { recursive: true });
           }
 
+          const previousManifest = pluginConfig.manifestDiff
+            ? readPreviousManifest(pluginConfig.manifestPath)
+            : null;
+
           fs.writeFileSync(pluginConfig.manifestPath, manifestContent);
 
           if (process.env.DEBUG || process.env.VERBOSE) {
@@ -1049,6 +2028,10 @@ function resolvePhoenixPlugin(
               colors.dim(`Manifest entries: ${Object.keys(manifest).length}`),
             );
           }
+
+          if (pluginConfig.manifestDiff) {
+            writeManifestDiff(resolvedConfig, pluginConfig, previousManifest, manifest);
+          }
         } catch (error) {
           console.error(
             `
@@ -1058,11 +2041,548 @@ function resolvePhoenixPlugin(
           );
           throw error;
         }
+
+        if (ssrEnabled) {
+          writeSSRManifest(resolvedConfig, pluginConfig);
+        }
+
+        if (pluginConfig.sizeReport) {
+          await reportEntrySizes(resolvedConfig, pluginConfig);
+        }
+
+        if (pluginConfig.cleanup) {
+          const writtenFiles = emittedFiles.flatMap((fileName) => {
+            const fileSizes = sizes?.get(fileName);
+            return [
+              fileName,
+              ...(fileSizes?.gzip !== undefined ? [`${fileName}.gz`] : []),
+              ...(fileSizes?.brotli !== undefined ? [`${fileName}.br`] : []),
+            ];
+          });
+
+          cleanupStaleBuilds(
+            resolvedConfig,
+            writtenFiles,
+            (pluginConfig.cleanup as Required<CleanupConfig>).keep,
+          );
+        }
       }
     },
   };
 }
 
+const gzip = promisify(zlib.gzip);
+const brotliCompress = promisify(zlib.brotliCompress);
+
+// Formats worth compressing; images and fonts are compressed already
+const compressibleFiles = /\.(js|mjs|cjs|css|html|json|svg|txt|xml|map|wasm)$/;
+
+/**
+ * Format a byte count the way Vite's build output does.
+ */
+function formatSize(bytes: number): string {
+  return `${(bytes / 1000).toFixed(2)} kB`;
+}
+
+/**
+ * Write `.gz` and `.br` siblings of the emitted files and print their sizes.
+ * A variant that is not smaller than its file is not written.
+ * Returns the raw and compressed sizes of each emitted file, by file name.
+ */
+async function compressBuildOutput(
+  config: ResolvedConfig,
+  fileNames: string[],
+  options: Required<CompressConfig>,
+): Promise<Map<string, { size: number; gzip?: number; brotli?: number }>> {
+  const sizes = new Map<string, { size: number; gzip?: number; brotli?: number }>();
+  let skipped = 0;
+
+  await Promise.all(
+    fileNames.map(async (fileName) => {
+      const filePath = path.join(config.build.outDir, fileName);
+      const content = await fs.promises.readFile(filePath);
+      const fileSizes: { size: number; gzip?: number; brotli?: number } = { size: content.length };
+      sizes.set(fileName, fileSizes);
+
+      // A copy left by an earlier build would be served instead of this file
+      const removeStaleCopies = () =>
+        Promise.all([
+          fileSizes.gzip === undefined && fs.promises.rm(`${filePath}.gz`, { force: true }),
+          fileSizes.brotli === undefined && fs.promises.rm(`${filePath}.br`, { force: true }),
+        ]);
+
+      if (!compressibleFiles.test(fileName) || content.length < options.threshold) {
+        skipped++;
+        await removeStaleCopies();
+        return;
+      }
+
+      if (options.gzip) {
+        const compressed = await gzip(content, { level: options.gzipLevel });
+        if (compressed.length < content.length) {
+          await fs.promises.writeFile(`${filePath}.gz`, compressed);
+          fileSizes.gzip = compressed.length;
+        }
+      }
+
+      if (options.brotli) {
+        const compressed = await brotliCompress(content, {
+          params: {
+            [zlib.constants.BROTLI_PARAM_QUALITY]: options.brotliLevel,
+            [zlib.constants.BROTLI_PARAM_SIZE_HINT]: content.length,
+          },
+        });
+        if (compressed.length < content.length) {
+          await fs.promises.writeFile(`${filePath}.br`, compressed);
+          fileSizes.brotli = compressed.length;
+        }
+      }
+
+      await removeStaleCopies();
+    }),
+  );
+
+  const compressed = [...sizes.entries()]
+    .filter(([, fileSizes]) => fileSizes.gzip !== undefined || fileSizes.brotli !== undefined)
+    .sort(([a], [b]) => a.localeCompare(b));
+  const outDir = normalizePath(path.relative(config.root, config.build.outDir));
+  const nameWidth = Math.max(0, ...compressed.map(([fileName]) => fileName.length));
+
+  config.logger.info(
+    `\n[nb-vite] Compressed ${compressed.length} file(s) in ${outDir}` +
+      (skipped > 0 ? colors.dim(` (${skipped} skipped: below ${formatSize(options.threshold)} or not compressible)`) : ""),
+  );
+
+  for (const [fileName, fileSizes] of compressed) {
+    const columns = [formatSize(fileSizes.size).padStart(10)];
+    if (fileSizes.gzip !== undefined) {
+      columns.push(`gzip: ${formatSize(fileSizes.gzip).padStart(10)}`);
+    }
+    if (fileSizes.brotli !== undefined) {
+      columns.push(`brotli: ${formatSize(fileSizes.brotli).padStart(10)}`);
+    }
+
+    config.logger.info(`  ${fileName.padEnd(nameWidth)} ${colors.dim(columns.join(" │ "))}`);
+  }
+
+  return sizes;
+}
+
+const buildLedgerFile = ".nb-vite-builds.json";
+
+interface BuildLedger {
+  version: 1;
+
+  /**
+   * Oldest first
+   */
+  builds: Array<{ builtAt: string; files: string[] }>;
+}
+
+/**
+ * Record the files this build wrote in the build ledger, then delete the
+ * files of builds older than the last `keep` that no kept build also wrote.
+ *
+ * Only files recorded in the ledger are deleted, so files the plugin did not
+ * create (or created before the ledger existed) are never touched.
+ */
+function cleanupStaleBuilds(
+  config: ResolvedConfig,
+  files: string[],
+  keep: number,
+): void {
+  const outDir = path.resolve(config.build.outDir);
+  const ledgerPath = path.join(outDir, buildLedgerFile);
+  const logger = config.logger;
+
+  let ledger: BuildLedger = { version: 1, builds: [] };
+  if (fs.existsSync(ledgerPath)) {
+    try {
+      ledger = JSON.parse(fs.readFileSync(ledgerPath, "utf-8"));
+      if (!Array.isArray(ledger?.builds)) {
+        throw new Error("unexpected format");
+      }
+    } catch (error) {
+      // Without the ledger we cannot tell our files from others; delete nothing
+      logger.warn(
+        `[nb-vite] ${colors.yellow("Warning")}: Skipping cleanup, cannot read ${ledgerPath}: ` +
+          `${error instanceof Error ? error.message : String(error)}`,
+      );
+      return;
+    }
+  }
+
+  ledger.builds.push({ builtAt: new Date().toISOString(), files: [...files].sort() });
+
+  const kept = ledger.builds.slice(-keep);
+  const expired = ledger.builds.slice(0, -keep);
+  const keptFiles = new Set(kept.flatMap((build) => build.files));
+  let deleted = 0;
+
+  for (const file of new Set(expired.flatMap((build) => build.files))) {
+    const filePath = path.resolve(outDir, file);
+    if (keptFiles.has(file) || !filePath.startsWith(outDir + path.sep)) {
+      continue;
+    }
+
+    try {
+      if (fs.existsSync(filePath)) {
+        fs.rmSync(filePath);
+        deleted++;
+      }
+    } catch (error) {
+      logger.warn(
+        `[nb-vite] ${colors.yellow("Warning")}: Failed to delete ${file}: ` +
+          `${error instanceof Error ? error.message : String(error)}`,
+      );
+    }
+  }
+
+  fs.writeFileSync(ledgerPath, JSON.stringify({ version: 1, builds: kept }, null, 2));
+
+  if (deleted > 0) {
+    logger.info(
+      colors.dim(
+        `[nb-vite] Deleted ${deleted} file(s) from ${expired.length} build(s) older than the last ${keep}`,
+      ),
+    );
+  }
+}
+
+/**
+ * Read the Phoenix manifest the previous build left behind, if any.
+ */
+function readPreviousManifest(
+  manifestPath: string,
+): Record<string, PhoenixManifestChunk> | null {
+  try {
+    return JSON.parse(fs.readFileSync(manifestPath, "utf-8"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The output files a Phoenix manifest entry references.
+ */
+function manifestEntryFiles(entry: PhoenixManifestChunk): string[] {
+  return [entry.file, ...(entry.css ?? []), ...(entry.assets ?? [])];
+}
+
+/**
+ * Compare the new Phoenix manifest with the previous one: keep the previous
+ * manifest, write `manifest.diff.json`, print a summary and, with `prune`,
+ * delete the files only the previous manifest referenced.
+ *
+ * Problems are reported as warnings; a failed diff never fails the build.
+ */
+function writeManifestDiff(
+  config: ResolvedConfig,
+  pluginConfig: Required<PluginConfig>,
+  previous: Record<string, PhoenixManifestChunk> | null,
+  manifest: Record<string, PhoenixManifestChunk>,
+): void {
+  const manifestDir = path.dirname(pluginConfig.manifestPath);
+  const logger = config.logger;
+
+  if (!previous) {
+    logger.info(colors.dim("\n[nb-vite] No previous manifest to compare with"));
+    return;
+  }
+
+  try {
+    fs.writeFileSync(
+      path.join(manifestDir, "manifest.previous.json"),
+      JSON.stringify(previous, null, 2),
+    );
+
+    const added = Object.keys(manifest).filter((key) => !(key in previous));
+    const removed = Object.keys(previous).filter((key) => !(key in manifest));
+    const rehashed = Object.keys(manifest)
+      .filter((key) => key in previous && previous[key].file !== manifest[key].file)
+      .map((key) => ({ key, from: previous[key].file, to: manifest[key].file }));
+
+    const files = new Set(Object.values(manifest).flatMap(manifestEntryFiles));
+    const previousFiles = new Set(Object.values(previous).flatMap(manifestEntryFiles));
+    const newFiles = [...files].filter((file) => !previousFiles.has(file));
+    const orphanedFiles = [...previousFiles].filter((file) => !files.has(file));
+
+    fs.writeFileSync(
+      path.join(manifestDir, "manifest.diff.json"),
+      JSON.stringify(
+        {
+          entries: { added, removed, rehashed },
+          files: { added: newFiles, orphaned: orphanedFiles },
+        },
+        null,
+        2,
+      ),
+    );
+
+    logger.info(
+      `\n[nb-vite] Manifest changes since the previous build: ` +
+        `${added.length} added, ${removed.length} removed, ${rehashed.length} re-hashed ` +
+        colors.dim(`(${newFiles.length} new, ${orphanedFiles.length} orphaned files)`),
+    );
+    for (const key of added) {
+      logger.info(`  ${colors.green("+")} ${key} ${colors.dim(manifest[key].file)}`);
+    }
+    for (const key of removed) {
+      logger.info(`  ${colors.red("-")} ${key} ${colors.dim(previous[key].file)}`);
+    }
+    for (const { key, from, to } of rehashed) {
+      logger.info(`  ${colors.yellow("~")} ${key} ${colors.dim(`${from} → ${to}`)}`);
+    }
+
+    if ((pluginConfig.manifestDiff as ManifestDiffConfig).prune) {
+      pruneOrphanedFiles(config, pluginConfig, orphanedFiles);
+    }
+  } catch (error) {
+    logger.warn(
+      `[nb-vite] ${colors.yellow("Warning")}: Failed to compare with the previous manifest: ` +
+        `${error instanceof Error ? error.message : String(error)}`,
+    );
+  }
+}
+
+/**
+ * Delete output files, given as manifest paths, with their `.map`, `.gz` and
+ * `.br` siblings. Paths outside the build's `outDir` are skipped.
+ */
+function pruneOrphanedFiles(
+  config: ResolvedConfig,
+  pluginConfig: Required<PluginConfig>,
+  files: string[],
+): void {
+  const outDir = path.resolve(config.build.outDir);
+  const prefix = `${pluginConfig.buildDirectory}/`;
+  let pruned = 0;
+
+  for (const file of files) {
+    const filePath = path.resolve(outDir, file.startsWith(prefix) ? file.slice(prefix.length) : file);
+    if (!filePath.startsWith(outDir + path.sep)) {
+      continue;
+    }
+
+    for (const candidate of [filePath, `${filePath}.map`, `${filePath}.gz`, `${filePath}.br`]) {
+      if (fs.existsSync(candidate)) {
+        fs.rmSync(candidate);
+        pruned++;
+      }
+    }
+  }
+
+  config.logger.info(colors.dim(`[nb-vite] Pruned ${pruned} orphaned file(s) from ${normalizePath(path.relative(config.root, outDir))}`));
+}
+
+type SizeReportPart = "js" | "imports" | "css" | "total";
+
+/**
+ * Print a table of the raw and gzipped size of each manifest entry: its own
+ * JS, the chunks it statically imports (transitively) and its CSS. Writes the
+ * numbers as JSON for CI, then fails the build if an entry is over budget.
+ */
+async function reportEntrySizes(
+  config: ResolvedConfig,
+  pluginConfig: Required<PluginConfig>,
+): Promise<void> {
+  const options = pluginConfig.sizeReport as SizeReportConfig;
+  const outDir = config.build.outDir;
+  const viteManifestPath = path.join(outDir, ".vite", "manifest.json");
+  if (!fs.existsSync(viteManifestPath)) {
+    return;
+  }
+
+  const viteManifest = JSON.parse(fs.readFileSync(viteManifestPath, "utf-8")) as Manifest;
+  const fileSizes = new Map<string, Promise<{ raw: number; gzip: number }>>();
+
+  const sizeOf = (file: string) => {
+    let size = fileSizes.get(file);
+    if (!size) {
+      size = fs.promises.readFile(path.join(outDir, file)).then(async (content) => ({
+        raw: content.length,
+        gzip: (await gzip(content, { level: 9 })).length,
+      }));
+      fileSizes.set(file, size);
+    }
+    return size;
+  };
+
+  const sumSizes = async (files: string[]) => {
+    const sizes = await Promise.all(files.map(sizeOf));
+    return {
+      raw: sizes.reduce((sum, size) => sum + size.raw, 0),
+      gzip: sizes.reduce((sum, size) => sum + size.gzip, 0),
+      // As Phoenix sees them in the manifest
+      files: files.map((file) => `${pluginConfig.buildDirectory}/${file}`),
+    };
+  };
+
+  const report: Record<string, Record<SizeReportPart, { raw: number; gzip: number; files?: string[] }>> = {};
+
+  for (const [key, entry] of Object.entries(viteManifest)) {
+    if (!entry.isEntry) {
+      continue;
+    }
+
+    // Chunks reachable through static imports, which load with the entry
+    const imported = new Set<string>();
+    const queue = [...(entry.imports ?? [])];
+    while (queue.length > 0) {
+      const importKey = queue.pop()!;
+      if (imported.has(importKey) || !viteManifest[importKey]) {
+        continue;
+      }
+      imported.add(importKey);
+      queue.push(...(viteManifest[importKey].imports ?? []));
+    }
+
+    const importChunks = [...imported].map((importKey) => viteManifest[importKey]);
+    const cssFiles = [...new Set([entry, ...importChunks].flatMap((chunk) => chunk.css ?? []))];
+    const entryCss = entry.file.endsWith(".css") ? [entry.file] : [];
+    const jsFiles = entry.file.endsWith(".css") ? [] : [entry.file];
+
+    const js = await sumSizes(jsFiles);
+    const imports = await sumSizes(importChunks.map((chunk) => chunk.file));
+    const css = await sumSizes([...entryCss, ...cssFiles]);
+
+    report[key] = {
+      js,
+      imports,
+      css,
+      total: {
+        raw: js.raw + imports.raw + css.raw,
+        gzip: js.gzip + imports.gzip + css.gzip,
+      },
+    };
+  }
+
+  const parts: SizeReportPart[] = ["js", "imports", "css", "total"];
+  const cell = (size: { raw: number; gzip: number }) =>
+    `${formatSize(size.raw)} (${formatSize(size.gzip)})`;
+  const rows = [
+    ["entry", ...parts],
+    ...Object.entries(report).map(([key, sizes]) => [key, ...parts.map((part) => cell(sizes[part]))]),
+  ];
+  const widths = rows[0].map((_, column) => Math.max(...rows.map((row) => row[column].length)));
+
+  config.logger.info(`\n[nb-vite] Entry sizes ${colors.dim("(gzipped in parentheses)")}`);
+  rows.forEach((row, index) => {
+    const line = `  ${row.map((value, column) => value.padEnd(widths[column])).join("  ")}`.trimEnd();
+    config.logger.info(index === 0 ? colors.dim(line) : line);
+  });
+
+  if (options.file !== false) {
+    const reportPath = options.file
+      ? path.resolve(config.root, options.file)
+      : path.join(outDir, ".vite", "size-report.json");
+
+    fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+    fs.writeFileSync(reportPath, JSON.stringify({ entries: report }, null, 2));
+  }
+
+  const overBudget: string[] = [];
+  for (const [key, budget] of Object.entries(options.budgets ?? {})) {
+    const sizes = report[key];
+    if (!sizes) {
+      config.logger.warn(
+        `[nb-vite] ${colors.yellow("Warning")}: Ignoring the size budget for "${key}", which is not an entry in the manifest`,
+      );
+      continue;
+    }
+
+    const limits: SizeBudget = typeof budget === "number" ? { total: budget } : budget;
+    for (const part of parts) {
+      const limit = limits[part];
+      if (limit !== undefined && sizes[part].gzip > limit) {
+        overBudget.push(
+          `${key} ${part}: ${formatSize(sizes[part].gzip)} gzipped, budget ${formatSize(limit)}`,
+        );
+      }
+    }
+  }
+
+  if (overBudget.length > 0) {
+    throw new Error(
+      `Size budget exceeded:\n${overBudget.map((line) => `  ${line}`).join("\n")}`,
+    );
+  }
+}
+
+/**
+ * Create a function returning the SRI digest (`sha384-...`) of an emitted
+ * file, relative to the build's `outDir`. Each file is read once.
+ */
+function createIntegrityDigest(
+  outDir: string,
+  algorithm: IntegrityAlgorithm,
+): (file: string) => string {
+  const digests = new Map<string, string>();
+
+  return (file) => {
+    let digest = digests.get(file);
+
+    if (digest === undefined) {
+      const content = fs.readFileSync(path.join(outDir, file));
+      digest = `${algorithm}-${createHash(algorithm).update(content).digest("base64")}`;
+      digests.set(file, digest);
+    }
+
+    return digest;
+  };
+}
+
+/**
+ * Copy the client build's SSR manifest next to the SSR bundle, with each
+ * file mapped to its URL under the `buildDirectory` prefix.
+ */
+function writeSSRManifest(
+  config: ResolvedConfig,
+  pluginConfig: Required<PluginConfig>,
+): void {
+  const ssrManifest = config.build.ssrManifest;
+  if (!ssrManifest) {
+    return;
+  }
+
+  const viteSSRManifestPath = path.join(
+    config.build.outDir,
+    typeof ssrManifest === "string" ? ssrManifest : path.join(".vite", "ssr-manifest.json"),
+  );
+
+  if (!fs.existsSync(viteSSRManifestPath)) {
+    return;
+  }
+
+  try {
+    const viteSSRManifest = JSON.parse(
+      fs.readFileSync(viteSSRManifestPath, "utf-8"),
+    ) as Record<string, string[]>;
+
+    // Vite writes files relative to `base`, which may be an ASSET_URL
+    const toUrl = (file: string) =>
+      `/${pluginConfig.buildDirectory}/${file.startsWith(config.base) ? file.slice(config.base.length) : file.replace(/^\//, "")}`;
+
+    const manifest = Object.fromEntries(
+      Object.entries(viteSSRManifest).map(([id, files]) => [id, files.map(toUrl)]),
+    );
+    const manifestPath = path.join(pluginConfig.ssrOutputDirectory, "ssr-manifest.json");
+
+    fs.mkdirSync(pluginConfig.ssrOutputDirectory, { recursive: true });
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+
+    if (process.env.DEBUG || process.env.VERBOSE) {
+      console.log(colors.dim(`SSR manifest written to: ${manifestPath}`));
+    }
+  } catch (error) {
+    console.warn(
+      `
+[nb-vite] ${colors.yellow("Warning")}: Failed to write SSR manifest.\n` +
+        `Error: ${error instanceof Error ? error.message : String(error)}\n`,
+    );
+  }
+}
+
 /**
  * Check for common configuration issues and warn the user.
  */
@@ -0,0 +1,180 @@
+/**
+ * Startup checks and starter templates for SSR entries
+ *
+ * Catches the common ways an SSR entry is wired up wrong before the first
+ * render fails with a less helpful error.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+export type SSRFramework = 'react' | 'vue' | 'svelte';
+
+// Packages that identify each framework, most specific (the Inertia adapter) first
+const frameworkPackages: Record<SSRFramework, string[]> = {
+  react: ['@inertiajs/react', 'react-dom', 'react'],
+  vue: ['@inertiajs/vue3', '@vue/server-renderer', 'vue'],
+  svelte: ['@inertiajs/svelte', 'svelte'],
+};
+
+/**
+ * Whether a package is installed in `node_modules` of `root` or any parent directory.
+ */
+function isPackageInstalled(pkg: string, root: string): boolean {
+  let dir = root;
+
+  while (true) {
+    if (fs.existsSync(path.join(dir, 'node_modules', pkg, 'package.json'))) {
+      return true;
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return false;
+    }
+    dir = parent;
+  }
+}
+
+/**
+ * Find the frameworks installed for the project, those with an Inertia adapter first.
+ */
+export function detectSSRFrameworks(root: string): SSRFramework[] {
+  const frameworks = Object.keys(frameworkPackages) as SSRFramework[];
+  const withAdapter = frameworks.filter((framework) =>
+    isPackageInstalled(frameworkPackages[framework][0], root),
+  );
+  const withoutAdapter = frameworks.filter(
+    (framework) =>
+      !withAdapter.includes(framework) &&
+      frameworkPackages[framework].slice(1).some((pkg) => isPackageInstalled(pkg, root)),
+  );
+
+  return [...withAdapter, ...withoutAdapter];
+}
+
+/**
+ * The package name of an import specifier, e.g. `react-dom` for `react-dom/server`.
+ */
+function packageName(specifier: string): string {
+  const parts = specifier.split('/');
+  return specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+}
+
+/**
+ * Check the source of an SSR entry for mistakes that only show up as a
+ * confusing failure at render time. Returns one actionable message per problem.
+ */
+export function findSSREntryProblems(
+  source: string,
+  root: string,
+  installed: SSRFramework[],
+): string[] {
+  const problems: string[] = [];
+  const specifiers = [
+    ...source.matchAll(/(?:\bfrom\s*|\bimport\s*\(?\s*)['"]([^'"]+)['"]/g),
+  ].map((match) => match[1]);
+
+  const inertiaServer = specifiers.find((specifier) =>
+    /^@inertiajs\/[\w-]+\/server$/.test(specifier),
+  );
+  if (inertiaServer && /\bcreateServer\s*\(/.test(source)) {
+    problems.push(
+      `it calls createServer() from "${inertiaServer}", which starts a separate SSR server that the dev endpoint does not use. ` +
+        'Export a render function instead: `export async function render(page) { return createInertiaApp({ page, ... }) }`',
+    );
+  }
+
+  const used = new Map<SSRFramework, string>();
+  for (const specifier of specifiers) {
+    const pkg = packageName(specifier);
+
+    for (const [framework, packages] of Object.entries(frameworkPackages)) {
+      if (packages.includes(pkg) && !used.has(framework as SSRFramework)) {
+        used.set(framework as SSRFramework, pkg);
+      }
+    }
+  }
+
+  if (used.size > 1) {
+    problems.push(
+      `it imports packages of more than one framework (${[...used.values()].join(', ')}). ` +
+        'Use the Inertia adapter and server renderer of the same framework',
+    );
+  }
+
+  for (const [framework, pkg] of used) {
+    if (!isPackageInstalled(pkg, root)) {
+      problems.push(
+        `it imports "${pkg}" (${framework}), which is not installed. ` +
+          (installed.length > 0
+            ? `Installed: ${installed.join(', ')}. Install ${pkg}, or point ssrDev.entryPoint at your ${installed[0]} entry`
+            : `Install ${pkg}`),
+      );
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Source of a starter SSR entry rendering Inertia pages from `./pages` with the given framework.
+ */
+export function createSSREntryTemplate(framework: SSRFramework, entryPoint: string): string {
+  const typescript = /\.tsx?$/.test(entryPoint);
+  const pageType = typescript ? ': Page' : '';
+  const pageImport = typescript ? "import type { Page } from '@inertiajs/core';\n" : '';
+  const pageExtension = { react: typescript ? 'tsx' : 'jsx', vue: 'vue', svelte: 'svelte' }[framework];
+  const resolve = `    resolve: (name) => {
+      // A lazy glob, so the pages a render imports are reported for preloading
+      const pages = import.meta.glob('./pages/**/*.${pageExtension}');
+      return pages[\`./pages/\${name}.${pageExtension}\`]();
+    },`;
+
+  switch (framework) {
+    case 'react':
+      return `import { createElement } from 'react';
+import ReactDOMServer from 'react-dom/server';
+import { createInertiaApp } from '@inertiajs/react';
+${pageImport}
+export async function render(page${pageType}) {
+  return createInertiaApp({
+    page,
+    render: ReactDOMServer.renderToString,
+${resolve}
+    setup: ({ App, props }) => createElement(App, props),
+  });
+}
+`;
+    case 'vue':
+      return `import { createSSRApp, h } from 'vue';
+import { renderToString } from 'vue/server-renderer';
+import { createInertiaApp } from '@inertiajs/vue3';
+${pageImport}
+export async function render(page${pageType}) {
+  return createInertiaApp({
+    page,
+    render: renderToString,
+${resolve}
+    setup({ App, props, plugin }) {
+      return createSSRApp({ render: () => h(App, props) }).use(plugin);
+    },
+  });
+}
+`;
+    case 'svelte':
+      return `import { render as renderComponent } from 'svelte/server';
+import { createInertiaApp } from '@inertiajs/svelte';
+${pageImport}
+export async function render(page${pageType}) {
+  return createInertiaApp({
+    page,
+${resolve}
+    setup({ App, props }) {
+      return renderComponent(App, { props });
+    },
+  });
+}
+`;
+  }
+}
@@ -0,0 +1,1628 @@
+/**
+ * SSR request handling shared by the Vite dev server endpoint and the production SSR server
+ *
+ * Both serve the same `/ssr` protocol: a POST with a JSON `page` body, answered with
+ * `{ success, result }` / `{ success, error }` JSON, or an NDJSON stream for entries
+ * exporting `renderToStream`. A `{ module, export, props }` body renders a single
+ * component (an island) instead of a page.
+ */
+
+import fs from 'node:fs';
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { createHash, randomBytes, timingSafeEqual } from 'node:crypto';
+import path from 'node:path';
+import type { IncomingMessage, ServerResponse } from 'node:http';
+import type { ErrorPayload } from 'vite';
+
+export interface SSRRenderOptions {
+  /**
+   * Aborted when the request times out or the client disconnects.
+   */
+  signal: AbortSignal;
+}
+
+export type SSRRenderFunction = (page: unknown, options: SSRRenderOptions) => Promise<unknown>;
+
+export type SSRStream = NodeJS.ReadableStream | ReadableStream<Uint8Array | string>;
+
+export type SSRStreamResult = SSRStream | { head?: string[]; body: SSRStream };
+
+export type SSRStreamFunction = (
+  page: unknown,
+  options: SSRRenderOptions,
+) => SSRStreamResult | Promise<SSRStreamResult>;
+
+export type SSRComponentRenderFunction = (
+  component: unknown,
+  props: Record<string, unknown>,
+  options: SSRRenderOptions,
+) => string | Promise<string>;
+
+export interface SSRModule {
+  render?: SSRRenderFunction;
+  renderToStream?: SSRStreamFunction;
+  renderComponent?: SSRComponentRenderFunction;
+}
+
+/**
+ * A request to render one export of a module on its own, e.g. a React island
+ * inside a LiveView template
+ */
+export interface SSRIslandRequest {
+  /**
+   * Module path relative to the project root
+   */
+  module: string;
+
+  /**
+   * @default 'default'
+   */
+  export?: string;
+
+  props?: Record<string, unknown>;
+}
+
+export interface SSRIslandResult {
+  html: string;
+
+  /**
+   * URL the browser imports the island module from to hydrate it
+   */
+  script: string;
+
+  export: string;
+}
+
+/**
+ * Whether a request body asks for an island rather than an Inertia page.
+ */
+export function isSSRIslandRequest(payload: unknown): payload is SSRIslandRequest {
+  return (
+    typeof payload === 'object' &&
+    payload !== null &&
+    typeof (payload as { module?: unknown }).module === 'string' &&
+    !('component' in payload)
+  );
+}
+
+export interface SSREntry {
+  name: string;
+  entryPoint: string;
+
+  /**
+   * The last module that loaded successfully
+   */
+  module: SSRModule | null;
+
+  /**
+   * Source files of the entry changed and it has not been reloaded since
+   */
+  stale: boolean;
+
+  /**
+   * The import in progress, shared by concurrent requests
+   */
+  loading: Promise<SSRModule> | null;
+
+  /**
+   * Why the latest reload failed while `module` is still being served
+   */
+  reloadError: Error | null;
+
+  /**
+   * When the entry last loaded successfully, as an ISO timestamp
+   */
+  loadedAt: string | null;
+
+  /**
+   * The failure of the latest load, cleared by the next successful one
+   */
+  loadError: { message: string; at: string } | null;
+}
+
+/**
+ * Build the per-entry state for the SSR endpoint from an entry path or a map of named entry paths.
+ */
+export function resolveSSREntries(
+  entryPoint: string | Record<string, string>,
+): Map<string, SSREntry> {
+  const entryPoints = typeof entryPoint === 'string'
+    ? { default: entryPoint }
+    : entryPoint;
+
+  return new Map(
+    Object.entries(entryPoints).map(([name, entry]) => [
+      name,
+      {
+        name,
+        entryPoint: entry,
+        module: null,
+        stale: false,
+        loading: null,
+        reloadError: null,
+        loadedAt: null,
+        loadError: null,
+      },
+    ]),
+  );
+}
+
+export type SSRErrorPayload = ErrorPayload["err"] & {
+  code?: string;
+  file?: string;
+  line?: number;
+  column?: number;
+};
+
+/**
+ * Global function that SSR builds wrap dynamic imports in, so the production
+ * server can tell which modules a render imported.
+ * Called as `__nb_vite_ssr_import__(moduleIds, import('./chunk.js'))`.
+ */
+export const SSR_IMPORT_TRACKER = '__nb_vite_ssr_import__';
+
+// Module ids imported by the render currently running in this async context
+const renderModules = new AsyncLocalStorage<Set<string>>();
+
+/**
+ * Record modules imported by the current render. No-op outside a render.
+ */
+export function trackSSRModules(ids: string | string[]): void {
+  const modules = renderModules.getStore();
+  if (!modules) {
+    return;
+  }
+
+  for (const id of Array.isArray(ids) ? ids : [ids]) {
+    modules.add(id);
+  }
+}
+
+/**
+ * An SSR request failure with its own error code and HTTP status.
+ */
+export class SSRRequestError extends Error {
+  constructor(
+    message: string,
+    readonly code: string,
+    readonly statusCode: number,
+  ) {
+    super(message);
+    this.name = 'SSRRequestError';
+  }
+}
+
+/**
+ * Thrown when the request body is not a JSON object or array.
+ */
+export class SSRInvalidRequestError extends SSRRequestError {
+  constructor(reason: string) {
+    super(`Invalid SSR request body: ${reason}`, 'SSR_INVALID_REQUEST', 400);
+    this.name = 'SSRInvalidRequestError';
+  }
+}
+
+/**
+ * Thrown when an SSR render exceeds `ssrDev.timeout`.
+ */
+export class SSRTimeoutError extends SSRRequestError {
+  constructor(timeout: number) {
+    super(`SSR render timed out after ${timeout}ms`, 'SSR_TIMEOUT', 504);
+    this.name = 'SSRTimeoutError';
+  }
+}
+
+/**
+ * Thrown when a request arrives while the render queue is full.
+ */
+export class SSRQueueFullError extends SSRRequestError {
+  constructor(maxQueue: number) {
+    super(`SSR render queue is full (${maxQueue} waiting)`, 'SSR_QUEUE_FULL', 503);
+    this.name = 'SSRQueueFullError';
+  }
+}
+
+export interface SSRRenderQueue {
+  /**
+   * Wait for a render slot. Resolves with a function that frees the slot.
+   */
+  acquire(signal: AbortSignal): Promise<() => void>;
+  stats(): {
+    concurrency: number;
+    maxQueue: number;
+    depth: number;
+    inFlight: number;
+    rejected: number;
+    averageRenderTime: number | null;
+  };
+}
+
+/**
+ * Limit concurrent renders with a bounded FIFO queue and track render durations.
+ */
+export function createRenderQueue(concurrency: number, maxQueue: number): SSRRenderQueue {
+  const waiting: Array<() => void> = [];
+  // Rolling window for the average render time
+  const durations: number[] = [];
+  let inFlight = 0;
+  let rejected = 0;
+
+  const grant = (): (() => void) => {
+    inFlight++;
+    const startedAt = performance.now();
+    let released = false;
+
+    return () => {
+      if (released) {
+        return;
+      }
+      released = true;
+      inFlight--;
+
+      durations.push(performance.now() - startedAt);
+      if (durations.length > 100) {
+        durations.shift();
+      }
+
+      waiting.shift()?.();
+    };
+  };
+
+  return {
+    acquire(signal) {
+      if (concurrency <= 0 || inFlight < concurrency) {
+        return Promise.resolve(grant());
+      }
+
+      if (waiting.length >= maxQueue) {
+        rejected++;
+        return Promise.reject(new SSRQueueFullError(maxQueue));
+      }
+
+      return new Promise((resolve, reject) => {
+        const onAbort = () => {
+          waiting.splice(waiting.indexOf(waiter), 1);
+          reject(signal.reason);
+        };
+        const waiter = () => {
+          signal.removeEventListener('abort', onAbort);
+          resolve(grant());
+        };
+
+        signal.addEventListener('abort', onAbort, { once: true });
+        waiting.push(waiter);
+      });
+    },
+
+    stats() {
+      return {
+        concurrency,
+        maxQueue,
+        depth: waiting.length,
+        inFlight,
+        rejected,
+        averageRenderTime: durations.length > 0
+          ? Math.round(durations.reduce((sum, duration) => sum + duration, 0) / durations.length)
+          : null,
+      };
+    },
+  };
+}
+
+/**
+ * Header reporting whether a response came from the SSR response cache
+ */
+export const SSR_CACHE_HEADER = 'x-nb-vite-ssr-cache';
+
+export interface SSRResponseCache {
+  /**
+   * Cache key for a request body rendered with an entry
+   */
+  key(entryName: string, body: string): string;
+  get(key: string): string | undefined;
+  set(key: string, response: string): void;
+  clear(): void;
+  stats(): {
+    max: number;
+    size: number;
+    hits: number;
+    misses: number;
+  };
+}
+
+/**
+ * Least-recently-used cache of serialized SSR responses.
+ */
+export function createResponseCache(max: number): SSRResponseCache {
+  // Map iteration order is insertion order, so the first key is the least recently used
+  const responses = new Map<string, string>();
+  let hits = 0;
+  let misses = 0;
+
+  return {
+    key(entryName, body) {
+      return createHash('sha1').update(entryName).update('\0').update(body).digest('hex');
+    },
+
+    get(key) {
+      const response = responses.get(key);
+      if (response === undefined) {
+        misses++;
+        return undefined;
+      }
+
+      hits++;
+      responses.delete(key);
+      responses.set(key, response);
+      return response;
+    },
+
+    set(key, response) {
+      responses.delete(key);
+      responses.set(key, response);
+
+      if (responses.size > max) {
+        responses.delete(responses.keys().next().value!);
+      }
+    },
+
+    clear() {
+      responses.clear();
+    },
+
+    stats() {
+      return { max, size: responses.size, hits, misses };
+    },
+  };
+}
+
+/**
+ * Settle with the promise, or reject with the signal's reason once it aborts.
+ */
+export function raceAbort<T>(promise: Promise<T>, signal?: AbortSignal): Promise<T> {
+  if (!signal) {
+    return promise;
+  }
+
+  if (signal.aborted) {
+    return Promise.reject(signal.reason);
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+
+    promise.then(
+      (value) => {
+        signal.removeEventListener('abort', onAbort);
+        resolve(value);
+      },
+      (error) => {
+        signal.removeEventListener('abort', onAbort);
+        reject(error);
+      },
+    );
+  });
+}
+
+/**
+ * Build a structured error payload for a failed SSR render.
+ *
+ * The shape follows Vite's client error overlay (`ErrorPayload["err"]`), with the
+ * location also flattened into `file`, `line` and `column` for the Phoenix side.
+ * Stacks from the Module Runner are already source-mapped, so the first stack
+ * frame pointing into the project gives the original location.
+ */
+export function buildSSRErrorPayload(error: unknown, root: string): SSRErrorPayload {
+  if (!(error instanceof Error)) {
+    return { code: 'SSR_RENDER_ERROR', message: String(error), stack: '' };
+  }
+
+  // Transform errors raised by Vite plugins already carry a location and frame
+  const pluginError = error as Error & Partial<Omit<ErrorPayload["err"], "message" | "stack">>;
+  let loc = pluginError.loc;
+  let frame = pluginError.frame;
+
+  if (!loc) {
+    loc = findStackLocation(error.stack ?? '', root);
+  }
+
+  if (loc?.file && !frame) {
+    try {
+      frame = generateCodeFrame(fs.readFileSync(loc.file, 'utf-8'), loc.line, loc.column);
+    } catch {
+      // The file may have been removed since the error was thrown
+    }
+  }
+
+  return {
+    code: error instanceof SSRRequestError ? error.code : 'SSR_RENDER_ERROR',
+    message: error.message,
+    stack: error.stack ?? '',
+    id: pluginError.id,
+    plugin: pluginError.plugin,
+    pluginCode: pluginError.pluginCode,
+    frame,
+    loc,
+    file: loc?.file,
+    line: loc?.line,
+    column: loc?.column,
+  };
+}
+
+/**
+ * Find the first stack frame that points at a project source file.
+ */
+function findStackLocation(
+  stack: string,
+  root: string,
+): { file: string; line: number; column: number } | undefined {
+  for (const match of stack.matchAll(/^\s*at (?:.*?\()?(.+?):(\d+):(\d+)\)?$/gm)) {
+    const file = match[1].replace(/^file:\/\//, '');
+
+    if (
+      path.isAbsolute(file) &&
+      file.startsWith(root) &&
+      !file.includes('/node_modules/') &&
+      fs.existsSync(file)
+    ) {
+      return { file, line: Number(match[2]), column: Number(match[3]) };
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Render a code frame around a 1-based line and column, in the format Vite's overlay uses.
+ */
+function generateCodeFrame(source: string, line: number, column: number): string {
+  const lines = source.split(/\r?\n/);
+  const start = Math.max(line - 3, 0);
+  const end = Math.min(line + 2, lines.length);
+  const frame: string[] = [];
+
+  for (let index = start; index < end; index++) {
+    const lineNumber = String(index + 1);
+    frame.push(`${lineNumber}${' '.repeat(Math.max(3 - lineNumber.length, 0))}|  ${lines[index]}`);
+
+    if (index + 1 === line) {
+      frame.push(`   |  ${' '.repeat(Math.max(column - 1, 0))}^`);
+    }
+  }
+
+  return frame.join('\n');
+}
+
+/**
+ * Normalize the value returned by `renderToStream` into a head and a body stream.
+ */
+export function normalizeStreamResult(result: SSRStreamResult): {
+  head: string[];
+  body: SSRStream;
+} {
+  if (typeof result === 'object' && result !== null && 'body' in result && isSSRStream(result.body)) {
+    return { head: result.head ?? [], body: result.body };
+  }
+
+  if (!isSSRStream(result)) {
+    throw new Error(
+      'SSR "renderToStream" must return a Node Readable, a Web ReadableStream, or { head, body } with a stream body',
+    );
+  }
+
+  return { head: [], body: result };
+}
+
+function isSSRStream(value: unknown): value is SSRStream {
+  return isWebReadableStream(value) ||
+    (typeof value === 'object' && value !== null && Symbol.asyncIterator in value);
+}
+
+function isWebReadableStream(value: unknown): value is ReadableStream<Uint8Array | string> {
+  return typeof value === 'object' && value !== null &&
+    typeof (value as ReadableStream).getReader === 'function';
+}
+
+/**
+ * Read a Node Readable or Web ReadableStream as decoded string chunks.
+ *
+ * Reading stops with the signal's reason when it aborts, even if the stream never produces another chunk.
+ */
+export async function* readStreamChunks(
+  stream: SSRStream,
+  signal?: AbortSignal,
+): AsyncGenerator<string> {
+  const decoder = new TextDecoder();
+  const decode = (chunk: Uint8Array | string) =>
+    typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+
+  if (isWebReadableStream(stream)) {
+    const reader = stream.getReader();
+    let finished = false;
+
+    try {
+      while (true) {
+        const { done, value } = await raceAbort(reader.read(), signal);
+        if (done) {
+          finished = true;
+          break;
+        }
+        yield decode(value);
+      }
+    } finally {
+      // Stop the producer when the consumer bails out early (e.g. client disconnect)
+      if (!finished) {
+        reader.cancel().catch(() => {});
+      }
+      try {
+        reader.releaseLock();
+      } catch {
+        // A read may still be pending after an abort
+      }
+    }
+  } else {
+    const iterator = (stream as AsyncIterable<Uint8Array | string>)[Symbol.asyncIterator]();
+    let finished = false;
+
+    try {
+      while (true) {
+        const { done, value } = await raceAbort(iterator.next(), signal);
+        if (done) {
+          finished = true;
+          break;
+        }
+        yield decode(value);
+      }
+    } finally {
+      if (!finished) {
+        const readable = stream as NodeJS.ReadableStream & { destroy?: () => void };
+        if (typeof readable.destroy === 'function') {
+          readable.destroy();
+        } else {
+          iterator.return?.().catch(() => {});
+        }
+      }
+    }
+  }
+
+  const rest = decoder.decode();
+  if (rest) {
+    yield rest;
+  }
+}
+
+/**
+ * Assets a rendered page needs in the document head, added to the response
+ */
+export interface SSRRenderAssets {
+  /**
+   * JS and CSS URLs to preload
+   */
+  preload?: string[];
+
+  /**
+   * `<style>` or `<link rel="stylesheet">` tags for the CSS the page imports
+   */
+  css?: string[];
+}
+
+/**
+ * Extra fields of a successful SSR response
+ */
+export interface SSRResponseFields extends SSRRenderAssets {
+  /**
+   * The entry failed to reload after a change and the last working version rendered the page
+   */
+  stale?: boolean;
+
+  /**
+   * Why the response is stale
+   */
+  warning?: string;
+}
+
+/**
+ * Send a streamed SSR result as newline-delimited JSON over chunked transfer encoding.
+ *
+ * Events are written in order: one `head` event, any number of `body` events,
+ * then a final `done` (or `error`) event.
+ */
+export async function sendStreamedResponse(
+  res: ServerResponse,
+  streamResult: { head: string[]; body: SSRStream },
+  signal?: AbortSignal,
+  fields: SSRResponseFields = {},
+): Promise<void> {
+  const writeEvent = (event: Record<string, unknown>): Promise<void> => {
+    if (res.write(JSON.stringify(event) + '\n')) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+      const resume = () => {
+        res.off('drain', resume);
+        res.off('close', resume);
+        resolve();
+      };
+      res.on('drain', resume);
+      res.on('close', resume);
+    });
+  };
+
+  res.statusCode = 200;
+  res.setHeader('Content-Type', 'application/x-ndjson');
+  res.setHeader('Cache-Control', 'no-cache');
+
+  await writeEvent({ type: 'head', head: streamResult.head, ...fields });
+
+  for await (const chunk of readStreamChunks(streamResult.body, signal)) {
+    if (res.destroyed) {
+      return;
+    }
+    await writeEvent({ type: 'body', chunk });
+  }
+
+  res.end(JSON.stringify({ type: 'done' }) + '\n');
+}
+
+/**
+ * Render a page to a JSON-serializable result, buffering `renderToStream`
+ * output into `{ head, body }` when the entry has no `render`.
+ */
+export async function renderToResult(
+  ssrModule: SSRModule,
+  page: unknown,
+  signal: AbortSignal,
+): Promise<unknown> {
+  if (ssrModule.render) {
+    return raceAbort(Promise.resolve(ssrModule.render(page, { signal })), signal);
+  }
+
+  if (!ssrModule.renderToStream) {
+    throw new SSRRequestError(
+      'SSR entry only exports "renderComponent", so it can render islands but not pages',
+      'SSR_NO_PAGE_RENDERER',
+      400,
+    );
+  }
+
+  const streamResult = normalizeStreamResult(
+    await raceAbort(Promise.resolve(ssrModule.renderToStream(page, { signal })), signal),
+  );
+
+  let body = '';
+  for await (const chunk of readStreamChunks(streamResult.body, signal)) {
+    body += chunk;
+  }
+
+  return { head: streamResult.head, body };
+}
+
+/**
+ * Read the full request body as a string.
+ */
+export function readBody(req: IncomingMessage): Promise<string> {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', (chunk: Buffer | string) => body += chunk);
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Milliseconds spent in each phase of an SSR request
+ */
+export interface SSRTiming {
+  /**
+   * Reading and parsing the request body
+   */
+  parse: number;
+
+  /**
+   * Waiting for a render slot
+   */
+  queue?: number;
+
+  /**
+   * Getting the entry module, importing it when it was not loaded yet
+   */
+  load?: number;
+
+  /**
+   * Whether the entry module was already loaded
+   */
+  loadCached?: boolean;
+
+  /**
+   * The render function; for streamed responses, until the stream starts
+   */
+  render?: number;
+
+  /**
+   * Collecting preload hints and CSS
+   */
+  assets?: number;
+
+  /**
+   * Turning the result into the JSON response
+   */
+  serialize?: number;
+}
+
+/**
+ * Milliseconds since `since`, rounded to 0.1ms.
+ */
+function elapsed(since: number): number {
+  return Math.round((performance.now() - since) * 10) / 10;
+}
+
+/**
+ * Format timings as a `Server-Timing` header value, e.g.
+ * `ssr-parse;dur=0.2, ssr-load;desc="cached";dur=0.1, ssr-render;dur=12.4`.
+ */
+export function formatServerTiming(timing: SSRTiming): string {
+  const metrics: string[] = [];
+
+  for (const [name, duration] of Object.entries(timing)) {
+    if (typeof duration !== 'number') {
+      continue;
+    }
+
+    const description = name === 'load' ? `;desc="${timing.loadCached ? 'cached' : 'cold'}"` : '';
+    metrics.push(`ssr-${name}${description};dur=${duration}`);
+  }
+
+  return metrics.join(', ');
+}
+
+/**
+ * Add timings to a serialized JSON object response. Appended after
+ * serializing so `serialize` can time the response itself, and so cached
+ * responses do not carry the timings of the request that filled the cache.
+ */
+function withTiming(response: string, timing: SSRTiming): string {
+  return `${response.slice(0, -1)},"timing":${JSON.stringify(timing)}}`;
+}
+
+export type SSRLogLevel = 'info' | 'warn' | 'error' | 'silent';
+
+/**
+ * Destination for SSR log messages, e.g. Vite's `server.config.logger`
+ */
+export interface SSRLogger {
+  info(message: string): void;
+  warn(message: string): void;
+  error(message: string): void;
+}
+
+const logLevelPriority: Record<SSRLogLevel, number> = {
+  silent: 0,
+  error: 1,
+  warn: 2,
+  info: 3,
+};
+
+/**
+ * Wrap a logger so messages below `level` are dropped.
+ */
+export function createSSRLogger(output: SSRLogger, level: SSRLogLevel): SSRLogger {
+  const enabled = (messageLevel: Exclude<SSRLogLevel, 'silent'>) =>
+    logLevelPriority[messageLevel] <= logLevelPriority[level];
+
+  return {
+    info: (message) => enabled('info') && output.info(message),
+    warn: (message) => enabled('warn') && output.warn(message),
+    error: (message) => enabled('error') && output.error(message),
+  };
+}
+
+/**
+ * Format an error for a log line, with its stack when there is one.
+ */
+export function formatLoggedError(error: unknown): string {
+  if (error instanceof Error) {
+    return error.stack ?? error.message;
+  }
+  return String(error);
+}
+
+/**
+ * One line of the JSON render log
+ */
+export interface SSRRenderRecord {
+  /**
+   * When the request arrived, as an ISO timestamp
+   */
+  time: string;
+
+  entry: string;
+
+  /**
+   * The page component, or `module#export` for islands
+   */
+  component: string | null;
+
+  /**
+   * Milliseconds from reading the request to the end of the response, including time queued
+   */
+  duration: number;
+
+  status: number;
+
+  cache?: string;
+
+  timing?: SSRTiming;
+
+  error?: { code?: string; message: string };
+}
+
+export interface SSRRenderLog {
+  write(record: SSRRenderRecord): void;
+  close(): void;
+}
+
+/**
+ * Append render records to a file as JSON lines.
+ */
+export function createSSRRenderLog(file: string, logger: SSRLogger = console): SSRRenderLog {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  const stream = fs.createWriteStream(file, { flags: 'a' });
+  let failed = false;
+
+  stream.on('error', (error) => {
+    if (!failed) {
+      failed = true;
+      logger.warn(`[nb-vite:ssr] Failed to write the render log ${file}: ${error.message}`);
+    }
+  });
+
+  return {
+    write(record) {
+      if (!failed) {
+        stream.write(JSON.stringify(record) + '\n');
+      }
+    },
+    close() {
+      stream.end();
+    },
+  };
+}
+
+/**
+ * Name what a request renders for logs: the page component, or `module#export` for islands.
+ */
+function describeRenderTarget(payload: unknown): string | null {
+  if (isSSRIslandRequest(payload)) {
+    return `${payload.module}#${payload.export ?? 'default'}`;
+  }
+
+  const component = (payload as { component?: unknown } | null)?.component;
+  return typeof component === 'string' ? component : null;
+}
+
+/**
+ * Parse a request body (or one NDJSON line) into a page, island request or batch.
+ */
+function parseRequestBody(text: string): any {
+  let payload: unknown;
+  try {
+    payload = JSON.parse(text);
+  } catch (error) {
+    throw new SSRInvalidRequestError(error instanceof Error ? error.message : String(error));
+  }
+
+  if (typeof payload !== 'object' || payload === null) {
+    throw new SSRInvalidRequestError('expected a JSON object or array');
+  }
+
+  return payload;
+}
+
+/**
+ * The render log entry for a failed render.
+ */
+function describeRenderError(error: unknown): SSRRenderRecord['error'] {
+  return {
+    code: error instanceof SSRRequestError ? error.code : undefined,
+    message: error instanceof Error ? error.message : String(error),
+  };
+}
+
+/**
+ * Header carrying the per-session SSR token
+ */
+export const SSR_TOKEN_HEADER = 'x-nb-vite-ssr-token';
+
+/**
+ * Generate a random per-session SSR token.
+ */
+export function generateSSRToken(): string {
+  return randomBytes(32).toString('hex');
+}
+
+/**
+ * Check the SSR token header of a request in constant time.
+ * Always passes when no token is configured.
+ */
+export function isAuthorizedSSRRequest(req: IncomingMessage, token: string | null | undefined): boolean {
+  if (!token) {
+    return true;
+  }
+
+  const provided = req.headers[SSR_TOKEN_HEADER];
+  if (typeof provided !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(token);
+  const actual = Buffer.from(provided);
+
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+/**
+ * Reject a request that lacks a valid SSR token.
+ */
+export function sendUnauthorized(res: ServerResponse): void {
+  res.statusCode = 401;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify({
+    success: false,
+    error: {
+      code: 'SSR_UNAUTHORIZED',
+      message: `Missing or invalid ${SSR_TOKEN_HEADER} header`,
+    },
+  }));
+}
+
+/**
+ * Check that an imported SSR entry exports something to render with.
+ */
+export function validateSSRModule(ssrModule: SSRModule): SSRModule {
+  const hasRender = typeof ssrModule.render === 'function';
+  const hasRenderToStream = typeof ssrModule.renderToStream === 'function';
+  const hasRenderComponent = typeof ssrModule.renderComponent === 'function';
+
+  if (!hasRender && !hasRenderToStream && !hasRenderComponent) {
+    const defaultExport = (ssrModule as { default?: unknown }).default;
+
+    if (typeof defaultExport === 'function') {
+      throw new Error(
+        'SSR entry has a default export but no named "render" export. ' +
+          'Export the function by name: `export async function render(page) { ... }`, or add `export { default as render }`',
+      );
+    }
+
+    if (defaultExport && typeof defaultExport === 'object' && 'render' in defaultExport) {
+      throw new Error(
+        'SSR entry exports "render" as a property of its default export. ' +
+          'Export it by name instead: `export async function render(page) { ... }`',
+      );
+    }
+
+    throw new Error('SSR entry must export a "render", "renderToStream" or "renderComponent" function');
+  }
+
+  return {
+    render: hasRender ? ssrModule.render : undefined,
+    renderToStream: hasRenderToStream ? ssrModule.renderToStream : undefined,
+    renderComponent: hasRenderComponent ? ssrModule.renderComponent : undefined,
+  };
+}
+
+/**
+ * Summarize entry readiness for the health endpoint.
+ *
+ * `status` is `error` when the latest load of any entry failed, `starting`
+ * until every entry has loaded once, and `ok` otherwise.
+ */
+export function describeSSREntries(entries: Map<string, SSREntry>): {
+  status: 'ok' | 'starting' | 'error';
+  ready: boolean;
+  lastError: { entry: string; message: string; at: string } | null;
+  entries: Record<string, {
+    ready: boolean;
+    stale: boolean;
+    entryPoint: string;
+    loadedAt: string | null;
+    error: { message: string; at: string } | null;
+  }>;
+} {
+  const allEntries = [...entries.values()];
+  const ready = allEntries.every((entry) => !!entry.module);
+  const failed = allEntries
+    .filter((entry) => entry.loadError)
+    .map((entry) => ({ entry: entry.name, ...entry.loadError! }))
+    .sort((a, b) => b.at.localeCompare(a.at));
+
+  return {
+    status: failed.length > 0 ? 'error' : ready ? 'ok' : 'starting',
+    ready,
+    lastError: failed[0] ?? null,
+    entries: Object.fromEntries(
+      allEntries.map((entry) => [
+        entry.name,
+        {
+          ready: !!entry.module,
+          stale: entry.stale || entry.reloadError !== null,
+          entryPoint: entry.entryPoint,
+          loadedAt: entry.loadedAt,
+          error: entry.loadError,
+        },
+      ]),
+    ),
+  };
+}
+
+export type SSRHealthProbe = 'health' | 'live' | 'ready';
+
+/**
+ * Match a request against the health path and its `/live` and `/ready` probes.
+ */
+export function matchSSRHealthProbe(req: IncomingMessage, healthPath: string): SSRHealthProbe | null {
+  if (req.method !== 'GET') {
+    return null;
+  }
+
+  switch (req.url?.split('?')[0]) {
+    case healthPath:
+      return 'health';
+    case `${healthPath}/live`:
+      return 'live';
+    case `${healthPath}/ready`:
+      return 'ready';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Answer a health probe. Liveness only says the server responds; readiness and
+ * the full health report return 503 unless every entry is loaded and working.
+ */
+export function sendSSRHealth(
+  res: ServerResponse,
+  probe: SSRHealthProbe,
+  health: { status: 'ok' | 'starting' | 'error'; ready: boolean; uptime: number } & Record<string, unknown>,
+): void {
+  let body: unknown = health;
+  if (probe === 'live') {
+    body = { status: 'ok', uptime: health.uptime };
+  } else if (probe === 'ready') {
+    body = { status: health.status, ready: health.ready };
+  }
+
+  res.statusCode = probe === 'live' || health.status === 'ok' ? 200 : 503;
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.end(JSON.stringify(body));
+}
+
+export interface SSRRequestHandlerOptions {
+  /**
+   * The path of the SSR endpoint; named entries are served at `${path}/:name`
+   */
+  path: string;
+
+  entries: Map<string, SSREntry>;
+
+  /**
+   * Load (or return the cached) module for an entry
+   */
+  loadModule: (entry: SSREntry) => Promise<SSRModule>;
+
+  streaming: boolean;
+
+  timeout: number;
+
+  queue: SSRRenderQueue;
+
+  /**
+   * Project root, used to locate source files for error code frames
+   */
+  root: string;
+
+  /**
+   * Require this value in the `x-nb-vite-ssr-token` header.
+   * When set, no CORS headers are sent, so browsers cannot call the endpoint.
+   */
+  token?: string | null;
+
+  /**
+   * Cache for successful single-page JSON responses. Batches and streamed
+   * responses are never cached.
+   */
+  cache?: SSRResponseCache | null;
+
+  /**
+   * Turn the modules imported during a render into the assets the page needs.
+   * The returned fields are added to the response.
+   */
+  resolveAssets?: (
+    modules: Set<string>,
+    entry: SSREntry,
+  ) => Promise<SSRRenderAssets> | SSRRenderAssets;
+
+  /**
+   * Import the module of an island request and return its exports, with the URL
+   * the browser loads it from. Island requests are rejected when not set.
+   */
+  loadIsland?: (
+    request: SSRIslandRequest,
+  ) => Promise<{ exports: Record<string, unknown>; script: string }>;
+
+  /**
+   * Where to log requests and failures.
+   * @default console
+   */
+  logger?: SSRLogger;
+
+  /**
+   * Called after every render with its timing and outcome. Each page of a
+   * batch gets its own record.
+   */
+  onRender?: (record: SSRRenderRecord) => void;
+
+  /**
+   * Called with every failed render after the error payload is built
+   */
+  onError?: (error: unknown, payload: SSRErrorPayload) => void;
+}
+
+/**
+ * Create a connect-style middleware serving the SSR endpoint.
+ */
+export function createSSRRequestHandler(
+  options: SSRRequestHandlerOptions,
+): (req: IncomingMessage, res: ServerResponse, next: () => void) => Promise<void> {
+  const { entries } = options;
+  const logger = options.logger ?? console;
+
+  // The entry served at the bare SSR path: `default`, or the only entry there is
+  const defaultEntry = entries.get('default') ??
+    (entries.size === 1 ? [...entries.values()][0] : undefined);
+
+  /**
+   * Run a render while recording the modules it imports, and resolve the
+   * assets those modules need into extra response fields. Renders with the
+   * last working module after a failed reload are flagged as stale.
+   */
+  async function withResponseFields<T>(
+    entry: SSREntry,
+    render: () => Promise<T>,
+    timing?: SSRTiming,
+  ): Promise<{ value: T; fields: SSRResponseFields }> {
+    const modules = new Set<string>();
+    const renderStartedAt = performance.now();
+    const value = await renderModules.run(modules, render);
+    const assetsStartedAt = performance.now();
+    const fields: SSRResponseFields = options.resolveAssets
+      ? { ...await options.resolveAssets(modules, entry) }
+      : {};
+
+    if (timing) {
+      timing.render = Math.round((assetsStartedAt - renderStartedAt) * 10) / 10;
+      timing.assets = elapsed(assetsStartedAt);
+    }
+
+    if (entry.reloadError) {
+      fields.stale = true;
+      fields.warning = `SSR entry "${entry.name}" failed to reload, rendered with the last working version: ${entry.reloadError.message}`;
+    }
+
+    return { value, fields };
+  }
+
+  /**
+   * Render one export of a module with the entry's `renderComponent`.
+   */
+  async function renderIsland(
+    ssrModule: SSRModule,
+    request: SSRIslandRequest,
+    signal: AbortSignal,
+  ): Promise<SSRIslandResult> {
+    if (!options.loadIsland) {
+      throw new SSRRequestError('This SSR server does not render islands', 'SSR_ISLANDS_UNSUPPORTED', 400);
+    }
+
+    const renderComponent = ssrModule.renderComponent;
+    if (!renderComponent) {
+      throw new SSRRequestError(
+        'SSR entry must export a "renderComponent(component, props)" function to render islands',
+        'SSR_NO_COMPONENT_RENDERER',
+        400,
+      );
+    }
+
+    const exportName = request.export ?? 'default';
+    const { exports, script } = await raceAbort(options.loadIsland(request), signal);
+
+    if (!(exportName in exports)) {
+      throw new SSRRequestError(
+        `Island module ${request.module} has no export "${exportName}"`,
+        'SSR_ISLAND_EXPORT_NOT_FOUND',
+        400,
+      );
+    }
+
+    const html = await raceAbort(
+      Promise.resolve(renderComponent(exports[exportName], request.props ?? {}, { signal })),
+      signal,
+    );
+
+    return { html, script, export: exportName };
+  }
+
+  /**
+   * Render a page or an island to a JSON-serializable result.
+   */
+  function renderRequest(ssrModule: SSRModule, payload: unknown, signal: AbortSignal): Promise<unknown> {
+    return isSSRIslandRequest(payload)
+      ? renderIsland(ssrModule, payload, signal)
+      : renderToResult(ssrModule, payload, signal);
+  }
+
+  /**
+   * Render one batch item with its own timeout, turning failures into an error entry.
+   * Rethrows only when the whole request was aborted (client disconnect).
+   */
+  async function renderBatchItem(
+    entry: SSREntry,
+    ssrModule: SSRModule,
+    item: unknown,
+    signal: AbortSignal,
+  ): Promise<
+    ({ success: true; result: unknown } & SSRResponseFields) | { success: false; error: SSRErrorPayload }
+  > {
+    const itemController = new AbortController();
+    const abortItem = () => itemController.abort(signal.reason);
+    signal.addEventListener('abort', abortItem, { once: true });
+
+    const itemTimer = options.timeout > 0
+      ? setTimeout(
+          () => itemController.abort(new SSRTimeoutError(options.timeout)),
+          options.timeout,
+        )
+      : undefined;
+
+    const time = new Date().toISOString();
+    const startedAt = performance.now();
+    let component: string | null = null;
+
+    const record = (status: number, error?: unknown) => {
+      options.onRender?.({
+        time,
+        entry: entry.name,
+        component,
+        duration: elapsed(startedAt),
+        status,
+        error: error === undefined ? undefined : describeRenderError(error),
+      });
+    };
+
+    try {
+      // NDJSON lines arrive unparsed so one malformed line only fails its own item
+      const page = typeof item === 'string' ? parseRequestBody(item) : item;
+      component = describeRenderTarget(page);
+
+      const { value: result, fields } = await withResponseFields(entry, () =>
+        renderRequest(ssrModule, page, itemController.signal),
+      );
+
+      record(200);
+      return { success: true, result, ...fields };
+    } catch (error) {
+      if (signal.aborted) {
+        throw error;
+      }
+
+      logger.error(`[nb-vite:ssr] Batch item render error: ${formatLoggedError(error)}`);
+      record(error instanceof SSRRequestError ? error.statusCode : 500, error);
+
+      const errorPayload = buildSSRErrorPayload(error, options.root);
+      options.onError?.(error, errorPayload);
+
+      return { success: false, error: errorPayload };
+    } finally {
+      clearTimeout(itemTimer);
+      signal.removeEventListener('abort', abortItem);
+    }
+  }
+
+  /**
+   * Render a batch in order. NDJSON requests get one NDJSON result line per page
+   * as soon as it is rendered; JSON array requests get `{ success, results }`.
+   */
+  async function sendBatchResponse(
+    res: ServerResponse,
+    entry: SSREntry,
+    ssrModule: SSRModule,
+    batch: unknown[],
+    ndjson: boolean,
+    signal: AbortSignal,
+  ): Promise<void> {
+    if (ndjson) {
+      res.statusCode = 200;
+      res.setHeader('Content-Type', 'application/x-ndjson');
+
+      for (const item of batch) {
+        res.write(JSON.stringify(await renderBatchItem(entry, ssrModule, item, signal)) + '\n');
+      }
+
+      res.end();
+      return;
+    }
+
+    const results = [];
+    for (const item of batch) {
+      results.push(await renderBatchItem(entry, ssrModule, item, signal));
+    }
+
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ success: true, results }));
+  }
+
+  return async (req, res, next) => {
+    // Match `path` (default entry) and `path/:name` (named entry)
+    const pathname = req.url?.split('?')[0] ?? '';
+    let entry: SSREntry | undefined;
+    let entryName: string;
+    let malformedName = false;
+
+    if (pathname === options.path) {
+      entry = defaultEntry;
+      entryName = 'default';
+    } else if (pathname.startsWith(`${options.path}/`)) {
+      entryName = pathname.slice(options.path.length + 1);
+      try {
+        entryName = decodeURIComponent(entryName);
+        entry = entries.get(entryName);
+      } catch {
+        malformedName = true;
+      }
+    } else {
+      return next();
+    }
+
+    if (options.token) {
+      // Token-protected: only callers that read the hot file may render
+      if (!isAuthorizedSSRRequest(req, options.token)) {
+        sendUnauthorized(res);
+        return;
+      }
+    } else {
+      // CORS headers
+      res.setHeader('Access-Control-Allow-Origin', '*');
+      res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+      res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+      // Handle preflight
+      if (req.method === 'OPTIONS') {
+        res.statusCode = 200;
+        res.end();
+        return;
+      }
+    }
+
+    // Only allow POST
+    if (req.method !== 'POST') {
+      res.statusCode = 405;
+      res.end('Method not allowed');
+      return;
+    }
+
+    if (malformedName) {
+      res.statusCode = 400;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({
+        success: false,
+        error: { message: 'Malformed SSR entry name in request path' },
+      }));
+      return;
+    }
+
+    if (!entry) {
+      res.statusCode = 404;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({
+        success: false,
+        error: {
+          message: `Unknown SSR entry "${entryName}". Available entries: ${[...entries.keys()].join(', ')}`,
+        },
+      }));
+      return;
+    }
+
+    const controller = new AbortController();
+    let timeoutTimer: NodeJS.Timeout | undefined;
+    let releaseSlot: (() => void) | undefined;
+
+    // For the render log; batches record each page separately
+    const time = new Date().toISOString();
+    const startedAt = performance.now();
+    let component: string | null = null;
+    let isBatch = false;
+    let failure: unknown;
+    const timing: SSRTiming = { parse: 0 };
+
+    try {
+      // Read request body: one page as JSON, or a batch as a JSON array or NDJSON
+      const body = await readBody(req);
+      const isNdjson = (req.headers['content-type'] ?? '').includes('application/x-ndjson');
+      const payload = isNdjson ? null : parseRequestBody(body);
+      const batch: unknown[] | null = isNdjson
+        ? body.split('\n').filter((line) => line.trim() !== '')
+        : Array.isArray(payload) ? payload : null;
+      isBatch = batch !== null;
+      component = batch ? null : describeRenderTarget(payload);
+      timing.parse = elapsed(startedAt);
+
+      if (batch) {
+        logger.info(`[nb-vite:ssr] Rendering batch of ${batch.length} page(s) (entry: ${entry.name})`);
+      } else if (isSSRIslandRequest(payload)) {
+        logger.info(`[nb-vite:ssr] Rendering island: ${component} (entry: ${entry.name})`);
+      } else {
+        logger.info(`[nb-vite:ssr] Rendering page: ${payload.component} (entry: ${entry.name})`);
+      }
+
+      const cacheKey = options.cache && !batch ? options.cache.key(entry.name, body) : null;
+      if (cacheKey) {
+        const cached = options.cache!.get(cacheKey);
+
+        if (cached !== undefined) {
+          res.setHeader(SSR_CACHE_HEADER, 'HIT');
+          res.setHeader('Server-Timing', formatServerTiming(timing));
+          res.setHeader('Content-Type', 'application/json');
+          res.end(withTiming(cached, timing));
+          logger.info(`[nb-vite:ssr] Served from cache`);
+          return;
+        }
+      }
+
+      // Abort the render when it takes too long or Phoenix hangs up
+      if (options.timeout > 0) {
+        timeoutTimer = setTimeout(
+          () => controller.abort(new SSRTimeoutError(options.timeout)),
+          options.timeout,
+        );
+      }
+      res.on('close', () => {
+        if (!res.writableFinished) {
+          controller.abort(new Error('SSR client disconnected'));
+        }
+      });
+
+      const { signal } = controller;
+
+      // Wait for a render slot; the timeout also covers time spent queued
+      const queuedAt = performance.now();
+      releaseSlot = await options.queue.acquire(signal);
+      timing.queue = elapsed(queuedAt);
+
+      // Load the SSR module (cached after first load)
+      const loadStartedAt = performance.now();
+      timing.loadCached = entry.module !== null && !entry.stale && !entry.loading;
+      const ssrModule = await raceAbort(options.loadModule(entry), signal);
+      timing.load = elapsed(loadStartedAt);
+
+      if (batch) {
+        // Items get their own timeout from here on
+        clearTimeout(timeoutTimer);
+        res.setHeader('Server-Timing', formatServerTiming(timing));
+        await sendBatchResponse(res, entry, ssrModule, batch, isNdjson, signal);
+        logger.info(`[nb-vite:ssr] Batch rendered`);
+        return;
+      }
+
+      const page = payload;
+
+      if (ssrModule.renderToStream && options.streaming && !isSSRIslandRequest(page)) {
+        const renderToStream = ssrModule.renderToStream;
+        const { value: streamResult, fields } = await withResponseFields(
+          entry,
+          async () =>
+            normalizeStreamResult(
+              await raceAbort(Promise.resolve(renderToStream(page, { signal })), signal),
+            ),
+          timing,
+        );
+
+        if (cacheKey) {
+          res.setHeader(SSR_CACHE_HEADER, 'BYPASS');
+        }
+        res.setHeader('Server-Timing', formatServerTiming(timing));
+        await sendStreamedResponse(res, streamResult, signal, fields);
+        logger.info(`[nb-vite:ssr] Streamed successfully`);
+        return;
+      }
+
+      // Render the page
+      const { value: result, fields } = await withResponseFields(
+        entry,
+        () => renderRequest(ssrModule, page, signal),
+        timing,
+      );
+
+      // Send response
+      const serializeStartedAt = performance.now();
+      const response = JSON.stringify({
+        success: true,
+        result: result,
+        ...fields,
+      });
+      timing.serialize = elapsed(serializeStartedAt);
+
+      if (cacheKey) {
+        // Never keep a page rendered with a module that failed to reload
+        if (!fields.stale) {
+          options.cache!.set(cacheKey, response);
+        }
+        res.setHeader(SSR_CACHE_HEADER, 'MISS');
+      }
+
+      res.setHeader('Server-Timing', formatServerTiming(timing));
+      res.setHeader('Content-Type', 'application/json');
+      res.end(withTiming(response, timing));
+
+      logger.info(`[nb-vite:ssr] Rendered successfully`);
+    } catch (error) {
+      failure = error;
+
+      // Phoenix hung up; there is nobody left to report the failure to
+      if (res.destroyed) {
+        logger.warn('[nb-vite:ssr] Client disconnected before the render finished');
+        return;
+      }
+
+      if (error instanceof SSRQueueFullError) {
+        logger.warn(`[nb-vite:ssr] ${error.message}, rejecting request`);
+      } else if (error instanceof SSRRequestError && error.statusCode < 500) {
+        logger.warn(`[nb-vite:ssr] Bad request: ${error.message}`);
+      } else {
+        logger.error(`[nb-vite:ssr] Render error: ${formatLoggedError(error)}`);
+      }
+
+      const errorPayload = buildSSRErrorPayload(error, options.root);
+      options.onError?.(error, errorPayload);
+
+      // Once streaming has started the status line is gone; report the
+      // failure as the final NDJSON event instead.
+      if (res.headersSent) {
+        if (!res.writableEnded) {
+          res.end(JSON.stringify({ type: 'error', error: errorPayload }) + '\n');
+        }
+        return;
+      }
+
+      res.statusCode = error instanceof SSRRequestError ? error.statusCode : 500;
+      res.setHeader('Server-Timing', formatServerTiming(timing));
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({
+        success: false,
+        error: errorPayload,
+        timing,
+      }));
+    } finally {
+      clearTimeout(timeoutTimer);
+      releaseSlot?.();
+
+      if (!isBatch) {
+        const cache = res.getHeader(SSR_CACHE_HEADER);
+
+        options.onRender?.({
+          time,
+          entry: entry.name,
+          component,
+          duration: elapsed(startedAt),
+          // 499: the client closed the connection before the response was sent
+          status: res.destroyed && !res.writableFinished ? 499 : res.statusCode,
+          cache: typeof cache === 'string' ? cache : undefined,
+          timing,
+          error: failure === undefined ? undefined : describeRenderError(failure),
+        });
+      }
+    }
+  };
+}
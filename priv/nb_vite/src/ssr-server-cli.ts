@@ -0,0 +1,143 @@
+/**
+ * Command line entry for the production SSR server
+ *
+ * Usage:
+ *   nb-vite-ssr [--bundle priv/ssr/ssr.js] [--port 13714] [--host 127.0.0.1]
+ *
+ * Pass `--bundle name=path` more than once to serve several named entries.
+ */
+
+import { createSSRServer, type SSRServerOptions } from './ssr-server';
+import type { SSRLogLevel } from './ssr-handler';
+
+const logLevels: SSRLogLevel[] = ['info', 'warn', 'error', 'silent'];
+
+const usage = `Usage: nb-vite-ssr [options]
+
+Options:
+  --bundle <path>        Built SSR entry, or name=path for a named entry (repeatable)
+                         (default: priv/ssr/ssr.js)
+  --ssr-manifest <path>  SSR manifest for preload hints (default: priv/ssr/ssr-manifest.json)
+  --port <port>          Port to listen on (default: 13714)
+  --host <host>          Host to bind to (default: 127.0.0.1)
+  --timeout <ms>         Render timeout, 0 disables (default: 10000)
+  --concurrency <n>      Maximum renders at once, 0 for no limit (default: 0)
+  --max-queue <n>        Maximum requests waiting for a render slot (default: 100)
+  --no-streaming         Buffer renderToStream output into JSON responses
+  --log-level <level>    info, warn, error or silent; warn drops per-request lines
+                         (default: info)
+  -h, --help             Show this help
+`;
+
+/**
+ * Parse command line arguments into server options
+ */
+function parseArgs(argv: string[]): SSRServerOptions {
+  const options: SSRServerOptions = {};
+  const bundles: string[] = [];
+
+  const numberValue = (flag: string, value: string | undefined): number => {
+    const number = Number(value);
+    if (value === undefined || Number.isNaN(number)) {
+      throw new Error(`${flag} expects a number`);
+    }
+    return number;
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    switch (arg) {
+      case '-h':
+      case '--help':
+        console.log(usage);
+        process.exit(0);
+        break;
+      case '--bundle':
+        if (!argv[i + 1]) {
+          throw new Error('--bundle expects a path');
+        }
+        bundles.push(argv[++i]);
+        break;
+      case '--ssr-manifest':
+        if (!argv[i + 1]) {
+          throw new Error('--ssr-manifest expects a path');
+        }
+        options.ssrManifest = argv[++i];
+        break;
+      case '--port':
+        options.port = numberValue(arg, argv[++i]);
+        break;
+      case '--host':
+        options.host = argv[++i];
+        break;
+      case '--timeout':
+        options.timeout = numberValue(arg, argv[++i]);
+        break;
+      case '--concurrency':
+        options.concurrency = numberValue(arg, argv[++i]);
+        break;
+      case '--max-queue':
+        options.maxQueue = numberValue(arg, argv[++i]);
+        break;
+      case '--no-streaming':
+        options.streaming = false;
+        break;
+      case '--log-level': {
+        const level = argv[++i] as SSRLogLevel;
+        if (!logLevels.includes(level)) {
+          throw new Error(`--log-level expects one of: ${logLevels.join(', ')}`);
+        }
+        options.logLevel = level;
+        break;
+      }
+      default:
+        throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  if (bundles.some((bundle) => bundle.includes('='))) {
+    options.bundle = Object.fromEntries(
+      bundles.map((bundle) => {
+        const [name, ...rest] = bundle.split('=');
+        if (rest.length === 0) {
+          throw new Error(`Named bundles must all use name=path, got: ${bundle}`);
+        }
+        return [name, rest.join('=')];
+      }),
+    );
+  } else if (bundles.length > 1) {
+    throw new Error('Use name=path for each --bundle when serving several bundles');
+  } else if (bundles.length === 1) {
+    options.bundle = bundles[0];
+  }
+
+  return options;
+}
+
+async function main() {
+  let options: SSRServerOptions;
+
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`nb-vite-ssr: ${error instanceof Error ? error.message : String(error)}\n`);
+    console.error(usage);
+    process.exit(1);
+  }
+
+  const ssrServer = await createSSRServer(options);
+  console.log(`[nb-vite:ssr] SSR server listening at ${ssrServer.url}`);
+
+  const shutdown = () => {
+    ssrServer.close().finally(() => process.exit(0));
+  };
+
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+main().catch((error) => {
+  console.error(error instanceof Error ? error.message : error);
+  process.exit(1);
+});
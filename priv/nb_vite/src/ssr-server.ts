@@ -0,0 +1,272 @@
+/**
+ * Production SSR server for bundles built with the Phoenix plugin
+ *
+ * Loads the built SSR entry (by default `priv/ssr/ssr.js`) and serves the same
+ * `/ssr` and `/ssr-health` routes, with the same request and response shapes,
+ * as the SSR endpoint of the Vite dev server. The Elixir side can talk to
+ * either without knowing which one is running.
+ */
+
+import fs from 'node:fs';
+import http from 'node:http';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import type { AddressInfo } from 'node:net';
+import {
+  SSREntry,
+  SSRLogLevel,
+  SSRLogger,
+  SSRModule,
+  SSRRenderAssets,
+  SSR_IMPORT_TRACKER,
+  createRenderQueue,
+  createSSRLogger,
+  createSSRRequestHandler,
+  describeSSREntries,
+  formatLoggedError,
+  matchSSRHealthProbe,
+  resolveSSREntries,
+  sendSSRHealth,
+  trackSSRModules,
+  validateSSRModule,
+} from './ssr-handler';
+
+export interface SSRServerOptions {
+  /**
+   * Path to the built SSR entry, or an object of entry names to paths.
+   * Named entries are served at `${path}/:name`.
+   * @default 'priv/ssr/ssr.js'
+   */
+  bundle?: string | Record<string, string>;
+
+  /**
+   * Path to the SSR manifest written by the client build, used for the
+   * `preload` list in responses. Responses have an empty list without it.
+   * @default 'priv/ssr/ssr-manifest.json'
+   */
+  ssrManifest?: string;
+
+  /**
+   * Port to listen on
+   * @default 13714
+   */
+  port?: number;
+
+  /**
+   * Host to bind to
+   * @default '127.0.0.1'
+   */
+  host?: string;
+
+  /**
+   * The path where the SSR endpoint will be available
+   * @default '/ssr'
+   */
+  path?: string;
+
+  /**
+   * The path for the health check endpoint
+   * @default '/ssr-health'
+   */
+  healthPath?: string;
+
+  /**
+   * Stream the response when the SSR entry exports `renderToStream`
+   * @default true
+   */
+  streaming?: boolean;
+
+  /**
+   * Maximum time in milliseconds for a render. Set to 0 to disable.
+   * @default 10000
+   */
+  timeout?: number;
+
+  /**
+   * Maximum number of renders running at the same time. Set to 0 for no limit.
+   * @default 0
+   */
+  concurrency?: number;
+
+  /**
+   * Maximum number of requests waiting for a render slot
+   * @default 100
+   */
+  maxQueue?: number;
+
+  /**
+   * Destination for log messages
+   * @default console
+   */
+  logger?: SSRLogger;
+
+  /**
+   * Minimum level of the messages that are logged. `'warn'` drops the
+   * per-request lines.
+   * @default 'info'
+   */
+  logLevel?: SSRLogLevel;
+}
+
+export interface SSRServer {
+  /**
+   * The underlying Node HTTP server
+   */
+  server: http.Server;
+
+  /**
+   * URL of the SSR endpoint
+   */
+  url: string;
+
+  /**
+   * Stop accepting requests and close the server
+   */
+  close: () => Promise<void>;
+}
+
+/**
+ * Load the built SSR bundle(s) and start serving them.
+ *
+ * @example
+ * ```typescript
+ * import { createSSRServer } from '@nordbeam/nb-vite/ssr-server';
+ *
+ * const server = await createSSRServer({ bundle: 'priv/ssr/ssr.js', port: 13714 });
+ * console.log(`SSR server listening at ${server.url}`);
+ * ```
+ */
+export async function createSSRServer(
+  options: SSRServerOptions = {},
+): Promise<SSRServer> {
+  // An option passed as `undefined` keeps its default
+  const config = {
+    bundle: options.bundle ?? 'priv/ssr/ssr.js',
+    ssrManifest: options.ssrManifest ?? 'priv/ssr/ssr-manifest.json',
+    port: options.port ?? 13714,
+    host: options.host ?? '127.0.0.1',
+    path: options.path ?? '/ssr',
+    healthPath: options.healthPath ?? '/ssr-health',
+    streaming: options.streaming ?? true,
+    timeout: options.timeout ?? 10000,
+    concurrency: options.concurrency ?? 0,
+    maxQueue: options.maxQueue ?? 100,
+    logger: options.logger ?? console,
+    logLevel: options.logLevel ?? 'info',
+  };
+
+  const logger = createSSRLogger(config.logger, config.logLevel);
+
+  const entries = resolveSSREntries(config.bundle);
+  const renderQueue = createRenderQueue(config.concurrency, config.maxQueue);
+
+  const ssrManifestPath = path.resolve(process.cwd(), config.ssrManifest);
+  const ssrManifest: Record<string, string[]> = fs.existsSync(ssrManifestPath)
+    ? JSON.parse(fs.readFileSync(ssrManifestPath, 'utf-8'))
+    : {};
+
+  if (!fs.existsSync(ssrManifestPath)) {
+    logger.warn(`[nb-vite:ssr] No SSR manifest at ${config.ssrManifest}, responses will not include preload hints`);
+  }
+
+  // SSR builds wrap dynamic imports in this tracker (see the Phoenix plugin)
+  (globalThis as Record<string, unknown>)[SSR_IMPORT_TRACKER] = <T>(
+    moduleIds: string[],
+    chunk: Promise<T>,
+  ): Promise<T> => {
+    trackSSRModules(moduleIds);
+    return chunk;
+  };
+
+  function resolveAssets(modules: Set<string>): SSRRenderAssets {
+    return { preload: [...new Set([...modules].flatMap((id) => ssrManifest[id] ?? []))] };
+  }
+
+  // Production bundles never change while running, so load them once up front
+  // and refuse to start with a broken bundle
+  async function loadSSRModule(entry: SSREntry): Promise<SSRModule> {
+    if (!entry.module) {
+      const bundlePath = path.resolve(process.cwd(), entry.entryPoint);
+      const ssrModule = await import(pathToFileURL(bundlePath).href) as SSRModule;
+
+      entry.module = validateSSRModule(ssrModule);
+      entry.loadedAt = new Date().toISOString();
+    }
+
+    return entry.module;
+  }
+
+  for (const entry of entries.values()) {
+    try {
+      await loadSSRModule(entry);
+    } catch (error) {
+      throw new Error(
+        `[nb-vite:ssr] Failed to load SSR bundle "${entry.name}" from ${entry.entryPoint}: ` +
+          (error instanceof Error ? error.message : String(error)),
+      );
+    }
+  }
+
+  const handleSSRRequest = createSSRRequestHandler({
+    path: config.path,
+    entries,
+    loadModule: loadSSRModule,
+    streaming: config.streaming,
+    timeout: config.timeout,
+    queue: renderQueue,
+    root: process.cwd(),
+    resolveAssets,
+    logger,
+  });
+
+  const startedAt = Date.now();
+
+  const server = http.createServer((req, res) => {
+    const probe = matchSSRHealthProbe(req, config.healthPath);
+
+    if (probe) {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+      sendSSRHealth(res, probe, {
+        ...describeSSREntries(entries),
+        mode: 'production',
+        uptime: Math.round((Date.now() - startedAt) / 1000),
+        queue: renderQueue.stats(),
+      });
+      return;
+    }
+
+    handleSSRRequest(req, res, () => {
+      res.statusCode = 404;
+      res.end('Not found');
+    }).catch((error) => {
+      // The handler answers its own errors; this only guards the process
+      logger.error(`[nb-vite:ssr] Unhandled error in SSR request handler: ${formatLoggedError(error)}`);
+      if (!res.headersSent) {
+        res.statusCode = 500;
+      }
+      res.end();
+    });
+  });
+
+  await new Promise<void>((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(config.port, config.host, () => {
+      server.off('error', reject);
+      resolve();
+    });
+  });
+
+  const address = server.address() as AddressInfo;
+  const host = address.family === 'IPv6' ? `[${address.address}]` : address.address;
+
+  return {
+    server,
+    url: `http://${host}:${address.port}${config.path}`,
+    close: () =>
+      new Promise((resolve, reject) => {
+        server.close((error) => (error ? reject(error) : resolve()));
+      }),
+  };
+}
+
+export default createSSRServer;
@@ -54,6 +54,16 @@ export interface NbRoutesPluginOptions {
   cwd?: string;
 }
 
+/**
+ * API exposed on the plugin instance for other plugins (e.g. the Phoenix SSR watcher)
+ */
+export interface NbRoutesPluginApi {
+  /**
+   * Absolute paths of the files written by route generation
+   */
+  generatedFiles: string[];
+}
+
 /**
  * Creates a Vite plugin for nb_routes auto-regeneration
  *
@@ -188,6 +198,24 @@ export function nbRoutes(options: NbRoutesPluginOptions = {}): Plugin {
     });
   }
 
+  /**
+   * Resolve the absolute paths route generation writes to
+   */
+  function resolveGeneratedFiles(): string[] {
+    const baseDir = opts.cwd || process.cwd();
+    const candidates = [
+      path.resolve(baseDir, opts.routesFile),
+      path.resolve(baseDir, opts.routesFile.replace(/^assets\//, ''))
+    ];
+
+    // TypeScript declarations are generated next to JavaScript output
+    const declarations = candidates
+      .filter(file => /\.m?js$/.test(file))
+      .map(file => file.replace(/\.m?js$/, '.d.ts'));
+
+    return [...new Set([...candidates, ...declarations])];
+  }
+
   /**
    * Check if a file matches the router pattern
    */
@@ -205,9 +233,15 @@ export function nbRoutes(options: NbRoutesPluginOptions = {}): Plugin {
     });
   }
 
+  const api: NbRoutesPluginApi = {
+    generatedFiles: resolveGeneratedFiles()
+  };
+
   return {
     name: 'nb-routes',
 
+    api,
+
     configureServer(devServer: ViteDevServer) {
       if (!opts.enabled) {
         return;
@@ -84,6 +84,18 @@ defmodule VitexTest do
         },
         "_shared-5e8a2b91.js" => %{
           "file" => "assets/shared-5e8a2b91.js"
+        },
+        "js/signed.js" => %{
+          "file" => "assets/signed-9c1d2e3f.js",
+          "css" => ["assets/signed-7b6a5c4d.css"],
+          "imports" => ["_vendor-1a2b3c4d.js"],
+          "isEntry" => true,
+          "integrity" => "sha384-main",
+          "cssIntegrity" => %{"assets/signed-7b6a5c4d.css" => "sha384-css"}
+        },
+        "_vendor-1a2b3c4d.js" => %{
+          "file" => "assets/vendor-1a2b3c4d.js",
+          "integrity" => "sha384-vendor"
         }
       }
 
@@ -185,6 +197,29 @@ defmodule VitexTest do
       Application.delete_env(:nb_vite, :static_url_path)
     end
 
+    test "renders integrity attributes from the manifest", %{manifest_path: manifest_path} do
+      Application.put_env(:nb_vite, :manifest_path, manifest_path)
+      Application.put_env(:nb_vite, :static_url_path, "/")
+
+      html = safe_to_string(NbVite.vite_assets("js/signed.js"))
+
+      assert html =~
+               ~s[<script type="module" crossorigin src="/assets/signed-9c1d2e3f.js" integrity="sha384-main"></script>]
+
+      assert html =~
+               ~s[<link rel="stylesheet" crossorigin href="/assets/signed-7b6a5c4d.css" integrity="sha384-css" />]
+
+      assert html =~
+               ~s[<link rel="modulepreload" crossorigin href="/assets/vendor-1a2b3c4d.js" integrity="sha384-vendor" />]
+
+      # Entries without digests render no integrity attribute
+      refute safe_to_string(NbVite.vite_assets("js/app.js")) =~ "integrity"
+
+      # Cleanup
+      Application.delete_env(:nb_vite, :manifest_path)
+      Application.delete_env(:nb_vite, :static_url_path)
+    end
+
     test "raises error when manifest entry not found", %{manifest_path: manifest_path} do
       Application.put_env(:nb_vite, :manifest_path, manifest_path)
 